@@ -0,0 +1,140 @@
+import * as func from './ascanvas2d.func.js';
+import { filter } from './ascanvas2d.filter.js';
+
+/** Funciones que se pueden asociar a un canvas */
+const functions = { ...func, filter };
+
+/**
+ * Posición del argumento canvas en cada función
+ * null: la función recibe una cantidad variable de argumentos y el canvas va al final
+ */
+const CANVAS_ARG = {
+    bg: 1,
+    size: 2,
+    fullSize: 0,
+    fill: 1,
+    noFill: 0,
+    stroke: 1,
+    noStroke: 0,
+    strokeWidth: 1,
+    circle: 3,
+    rect: 4,
+    line: 4,
+    lineCapRound: 0,
+    lineCap: 1,
+    lineJoin: 1,
+    lineDash: 1,
+    lineDashOffset: 1,
+    point: 2,
+    beginShape: 0,
+    vertex: 2,
+    curveVertex: 2,
+    bezierVertex: 6,
+    quadraticVertex: 4,
+    beginContour: 0,
+    endContour: 0,
+    endShape: 1,
+    ellipse: 4,
+    arc: 7,
+    triangle: 6,
+    quad: 8,
+    roundRect: 5,
+    polygon: 5,
+    textSize: 1,
+    textFont: 1,
+    textStyle: 1,
+    textAlign: 1,
+    textBaseline: 1,
+    textLeading: 1,
+    text: 3,
+    textWidth: 1,
+    textBounds: 3,
+    wrapText: 2,
+    textBox: 5,
+    shadow: 4,
+    noShadow: 0,
+    blendMode: 1,
+    alpha: 1,
+    erase: 0,
+    noErase: 0,
+    clip: 1,
+    getImage: 4,
+    imageMode: 1,
+    tint: 1,
+    noTint: 0,
+    image: null,
+    loadPixels: 0,
+    updatePixels: 0,
+    getPixel: 2,
+    setPixel: 3,
+    mapPixels: 1,
+    saveJPG: 0,
+    savePNG: 0,
+    translate: 2,
+    rotate: 1,
+    push: 0,
+    pop: 0,
+    scale: 2,
+    screenToWorld: 2,
+    worldToScreen: 2,
+    setCanvasResolution: 1,
+    linearGradient: 5,
+    radialGradient: 7,
+    width: 0,
+    height: 0,
+    createOffCanvas: 2,
+    filter: 2,
+};
+
+/** Funciones que no usan el canvas: se incluyen sin cambios */
+const PLAIN = [
+    'loadFont',
+    'loadImage',
+    'loadJSON',
+    'loadText',
+    'saveFile',
+    'snapValue',
+    'mapValue',
+    'distance',
+    'colorRGB',
+    'colorBW',
+    'colorHSL',
+    'colorHSB',
+    'color',
+];
+
+/**
+ * Crea las funciones de dibujo asociadas a un canvas, para no tener que
+ * pasarlo como último argumento
+ *
+ * Los argumentos opcionales omitidos usan su valor por defecto, por ejemplo
+ * `g.fill()` equivale a `fill('#fff', canvas)`.
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} cv - Canvas
+ * @returns {Object} Funciones de ascanvas2d.func.js y filter() asociadas al canvas
+ * @example
+ * const g = createAPI(canvas);
+ * g.bg('#000');
+ * g.fill('tomato');
+ * g.circle(100, 100, 50);
+ */
+export function createAPI(cv) {
+    const api = {};
+    for (const [name, index] of Object.entries(CANVAS_ARG)) {
+        const fn = functions[name];
+        if (index === null) {
+            api[name] = (...args) => fn(...args, cv);
+        } else {
+            api[name] = (...args) => {
+                // Completa los argumentos omitidos para que tomen su valor por defecto
+                while (args.length < index) args.push(undefined);
+                args.splice(index, 0, cv);
+                return fn(...args);
+            };
+        }
+    }
+    for (const name of PLAIN) {
+        api[name] = functions[name];
+    }
+    return api;
+}
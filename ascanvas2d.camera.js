@@ -0,0 +1,179 @@
+import { push, pop, translate, rotate, scale, width, height } from './ascanvas2d.func.js';
+import { MOUSE_LEFT } from './ascanvas2d.input.js';
+import { clamp } from './ascanvas2d.math.js';
+
+/**
+ * Crea una cámara 2D: una vista del mundo con posición, zoom y rotación
+ *
+ * La posición (x, y) es el punto del mundo que se ve en el centro del canvas.
+ * Lo que se dibuja entre begin() y end() usa coordenadas del mundo. Las
+ * conversiones de la cámara no dependen de la transformación del contexto,
+ * por lo que también sirven en los callbacks de entrada.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - Posición X inicial en el mundo
+ * @param {number} [options.y=0] - Posición Y inicial en el mundo
+ * @param {number} [options.zoom=1] - Zoom inicial
+ * @param {number} [options.rotation=0] - Rotación inicial en radianes
+ * @param {number} [options.minZoom=0.01] - Zoom mínimo
+ * @param {number} [options.maxZoom=100] - Zoom máximo
+ * @param {boolean} [options.pan=true] - update() desplaza la cámara al arrastrar el mouse
+ * @param {number} [options.panButton=MOUSE_LEFT] - Botón que arrastra la cámara
+ * @param {boolean} [options.wheelZoom=true] - update() hace zoom con la rueda alrededor del cursor
+ * @param {number} [options.zoomSpeed=0.001] - Sensibilidad de la rueda
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {Object} Cámara con las propiedades x, y, zoom y rotation y los métodos:
+ *   - begin(): aplica la transformación de la cámara (hace push)
+ *   - end(): restaura la transformación anterior (hace pop)
+ *   - update(mouse): aplica el arrastre y la rueda del fotograma
+ *   - screenToWorld(x, y): punto del canvas a coordenadas del mundo
+ *   - worldToScreen(x, y): punto del mundo a coordenadas del canvas
+ *   - zoomAt(factor, x, y): multiplica el zoom manteniendo fijo el punto (x, y) del canvas
+ *   - lookAt(x, y): centra la cámara en un punto del mundo
+ *   - reset(): vuelve a los valores iniciales
+ * @example
+ * const camera = createCamera({}, canvas);
+ * // en draw:
+ * camera.update(mouse);
+ * bg('#000', canvas);
+ * camera.begin();
+ * circle(0, 0, 100, canvas);
+ * camera.end();
+ * const p = camera.screenToWorld(mouse.x, mouse.y);
+ */
+export function createCamera({
+    x = 0,
+    y = 0,
+    zoom = 1,
+    rotation = 0,
+    minZoom = 0.01,
+    maxZoom = 100,
+    pan = true,
+    panButton = MOUSE_LEFT,
+    wheelZoom = true,
+    zoomSpeed = 0.001,
+} = {}, cv) {
+    const initial = { x, y, zoom, rotation };
+    // true si el botón ya estaba presionado en el update anterior
+    let dragging = false;
+
+    const camera = {
+        ...initial,
+        begin,
+        end,
+        update,
+        screenToWorld,
+        worldToScreen,
+        zoomAt,
+        lookAt,
+        reset,
+    };
+
+    /**
+     * Aplica la transformación de la cámara
+     */
+    function begin() {
+        push(cv);
+        translate(width(cv) / 2, height(cv) / 2, cv);
+        rotate(camera.rotation, cv);
+        scale(camera.zoom, camera.zoom, cv);
+        translate(-camera.x, -camera.y, cv);
+    }
+
+    /**
+     * Restaura la transformación anterior a begin()
+     */
+    function end() {
+        pop(cv);
+    }
+
+    /**
+     * Convierte un punto del canvas a coordenadas del mundo
+     * @param {number} sx - Posición X en unidades del canvas
+     * @param {number} sy - Posición Y en unidades del canvas
+     * @returns {{x: number, y: number}} Posición en el mundo
+     */
+    function screenToWorld(sx, sy) {
+        const dx = (sx - width(cv) / 2) / camera.zoom;
+        const dy = (sy - height(cv) / 2) / camera.zoom;
+        const cos = Math.cos(-camera.rotation);
+        const sin = Math.sin(-camera.rotation);
+        return {
+            x: camera.x + dx * cos - dy * sin,
+            y: camera.y + dx * sin + dy * cos,
+        };
+    }
+
+    /**
+     * Convierte un punto del mundo a coordenadas del canvas
+     * @param {number} wx - Posición X en el mundo
+     * @param {number} wy - Posición Y en el mundo
+     * @returns {{x: number, y: number}} Posición en unidades del canvas
+     */
+    function worldToScreen(wx, wy) {
+        const dx = (wx - camera.x) * camera.zoom;
+        const dy = (wy - camera.y) * camera.zoom;
+        const cos = Math.cos(camera.rotation);
+        const sin = Math.sin(camera.rotation);
+        return {
+            x: width(cv) / 2 + dx * cos - dy * sin,
+            y: height(cv) / 2 + dx * sin + dy * cos,
+        };
+    }
+
+    /**
+     * Multiplica el zoom manteniendo fijo un punto del canvas
+     * @param {number} factor - Factor de zoom (> 1 acerca, < 1 aleja)
+     * @param {number} [sx] - Posición X en unidades del canvas (por defecto, el centro)
+     * @param {number} [sy] - Posición Y en unidades del canvas (por defecto, el centro)
+     */
+    function zoomAt(factor, sx = width(cv) / 2, sy = height(cv) / 2) {
+        const before = screenToWorld(sx, sy);
+        camera.zoom = clamp(camera.zoom * factor, minZoom, maxZoom);
+        const after = screenToWorld(sx, sy);
+        camera.x += before.x - after.x;
+        camera.y += before.y - after.y;
+    }
+
+    /**
+     * Centra la cámara en un punto del mundo
+     * @param {number} wx - Posición X en el mundo
+     * @param {number} wy - Posición Y en el mundo
+     */
+    function lookAt(wx, wy) {
+        camera.x = wx;
+        camera.y = wy;
+    }
+
+    /**
+     * Vuelve a la posición, el zoom y la rotación iniciales
+     */
+    function reset() {
+        Object.assign(camera, initial);
+    }
+
+    /**
+     * Aplica el arrastre y la rueda del mouse del fotograma actual. Llamar una vez por
+     * fotograma en draw. Para evitar que la rueda desplace la página, el callback
+     * mouseWheel debe retornar false
+     * @param {Object} mouse - Estado del mouse que recibe draw
+     */
+    function update(mouse) {
+        const held = pan && mouse.buttons.has(panButton);
+        // En el fotograma en que se presiona, el desplazamiento es el salto desde la posición
+        // anterior del puntero (con touch o lápiz, desde el último toque) y no un arrastre
+        if (held && dragging && (mouse.dx || mouse.dy)) {
+            // El arrastre se mide en el canvas: se lleva al mundo sin la posición
+            const cos = Math.cos(-camera.rotation);
+            const sin = Math.sin(-camera.rotation);
+            camera.x -= (mouse.dx * cos - mouse.dy * sin) / camera.zoom;
+            camera.y -= (mouse.dx * sin + mouse.dy * cos) / camera.zoom;
+        }
+        dragging = held;
+        if (wheelZoom && mouse.wheelY) {
+            zoomAt(Math.exp(-mouse.wheelY * zoomSpeed), mouse.x, mouse.y);
+        }
+    }
+
+    return camera;
+}
@@ -0,0 +1,456 @@
+/**
+ * Colores con canales accesibles, conversión entre espacios (RGB, HSL, HSB y
+ * OKLCH), interpolación y paletas.
+ *
+ * Los colores son objetos {r, g, b, a} (r, g, b de 0 a 255 y a de 0 a 1) que
+ * se convierten a texto CSS automáticamente, por lo que se pueden pasar
+ * directamente a fill, stroke, bg y a los degradados.
+ */
+
+/** Colores con nombre de CSS */
+const NAMED = Object.fromEntries(
+    ('aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4,azure:f0ffff,beige:f5f5dc,' +
+    'bisque:ffe4c4,black:000000,blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a,' +
+    'burlywood:deb887,cadetblue:5f9ea0,chartreuse:7fff00,chocolate:d2691e,coral:ff7f50,' +
+    'cornflowerblue:6495ed,cornsilk:fff8dc,crimson:dc143c,cyan:00ffff,darkblue:00008b,darkcyan:008b8b,' +
+    'darkgoldenrod:b8860b,darkgray:a9a9a9,darkgreen:006400,darkgrey:a9a9a9,darkkhaki:bdb76b,' +
+    'darkmagenta:8b008b,darkolivegreen:556b2f,darkorange:ff8c00,darkorchid:9932cc,darkred:8b0000,' +
+    'darksalmon:e9967a,darkseagreen:8fbc8f,darkslateblue:483d8b,darkslategray:2f4f4f,' +
+    'darkslategrey:2f4f4f,darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493,deepskyblue:00bfff,' +
+    'dimgray:696969,dimgrey:696969,dodgerblue:1e90ff,firebrick:b22222,floralwhite:fffaf0,' +
+    'forestgreen:228b22,fuchsia:ff00ff,gainsboro:dcdcdc,ghostwhite:f8f8ff,gold:ffd700,' +
+    'goldenrod:daa520,gray:808080,green:008000,greenyellow:adff2f,grey:808080,honeydew:f0fff0,' +
+    'hotpink:ff69b4,indianred:cd5c5c,indigo:4b0082,ivory:fffff0,khaki:f0e68c,lavender:e6e6fa,' +
+    'lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd,lightblue:add8e6,lightcoral:f08080,' +
+    'lightcyan:e0ffff,lightgoldenrodyellow:fafad2,lightgray:d3d3d3,lightgreen:90ee90,lightgrey:d3d3d3,' +
+    'lightpink:ffb6c1,lightsalmon:ffa07a,lightseagreen:20b2aa,lightskyblue:87cefa,' +
+    'lightslategray:778899,lightslategrey:778899,lightsteelblue:b0c4de,lightyellow:ffffe0,lime:00ff00,' +
+    'limegreen:32cd32,linen:faf0e6,magenta:ff00ff,maroon:800000,mediumaquamarine:66cdaa,' +
+    'mediumblue:0000cd,mediumorchid:ba55d3,mediumpurple:9370db,mediumseagreen:3cb371,' +
+    'mediumslateblue:7b68ee,mediumspringgreen:00fa9a,mediumturquoise:48d1cc,mediumvioletred:c71585,' +
+    'midnightblue:191970,mintcream:f5fffa,mistyrose:ffe4e1,moccasin:ffe4b5,navajowhite:ffdead,' +
+    'navy:000080,oldlace:fdf5e6,olive:808000,olivedrab:6b8e23,orange:ffa500,orangered:ff4500,' +
+    'orchid:da70d6,palegoldenrod:eee8aa,palegreen:98fb98,paleturquoise:afeeee,palevioletred:db7093,' +
+    'papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f,pink:ffc0cb,plum:dda0dd,powderblue:b0e0e6,' +
+    'purple:800080,rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,royalblue:4169e1,' +
+    'saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57,seashell:fff5ee,' +
+    'sienna:a0522d,silver:c0c0c0,skyblue:87ceeb,slateblue:6a5acd,slategray:708090,slategrey:708090,' +
+    'snow:fffafa,springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080,thistle:d8bfd8,' +
+    'tomato:ff6347,turquoise:40e0d0,violet:ee82ee,wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,' +
+    'yellow:ffff00,yellowgreen:9acd32')
+        .split(',')
+        .map((kv) => kv.split(':')),
+);
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const wrapHue = (h) => ((h % 360) + 360) % 360;
+
+/** Métodos compartidos por todos los colores */
+const colorProto = {
+    /** Identifica a los objetos de color */
+    isColor: true,
+    /**
+     * Color en formato CSS rgba()
+     * @returns {string} Color CSS
+     */
+    toString() {
+        const r = Math.round(this.r), g = Math.round(this.g), b = Math.round(this.b);
+        return 'rgba(' + r + ',' + g + ',' + b + ',' + +this.a.toFixed(4) + ')';
+    },
+    /**
+     * Color en formato hexadecimal (#rrggbb o #rrggbbaa si tiene transparencia)
+     * @returns {string} Color hexadecimal
+     */
+    toHex() {
+        const hex = (v) => Math.round(clamp(v, 0, 255)).toString(16).padStart(2, '0');
+        return '#' + hex(this.r) + hex(this.g) + hex(this.b) + (this.a < 1 ? hex(this.a * 255) : '');
+    },
+    /** @returns {{r: number, g: number, b: number, a: number}} Canales RGB (0-255) */
+    toRGB() {
+        return { r: this.r, g: this.g, b: this.b, a: this.a };
+    },
+    /** @returns {{h: number, s: number, l: number, a: number}} Tono (0-360), saturación y luminosidad (0-100) */
+    toHSL() {
+        return { ...rgbToHsl(this.r, this.g, this.b), a: this.a };
+    },
+    /** @returns {{h: number, s: number, b: number, a: number}} Tono (0-360), saturación y brillo (0-100) */
+    toHSB() {
+        return { ...rgbToHsb(this.r, this.g, this.b), a: this.a };
+    },
+    /** @returns {{l: number, c: number, h: number, a: number}} Luminosidad (0-1), croma y tono (0-360) */
+    toOKLCH() {
+        return { ...rgbToOklch(this.r, this.g, this.b), a: this.a };
+    },
+    /**
+     * Crea una copia del color con otra transparencia
+     * @param {number} a - Canal alfa (0-1)
+     * @returns {Object} Nuevo color
+     */
+    withAlpha(a) {
+        return rgb(this.r, this.g, this.b, a);
+    },
+};
+
+/**
+ * Crea un color RGB
+ * @param {number} [r=255] - Componente rojo (0-255)
+ * @param {number} [g=255] - Componente verde (0-255)
+ * @param {number} [b=255] - Componente azul (0-255)
+ * @param {number} [a=1.0] - Canal alfa (0-1)
+ * @returns {Object} Color
+ */
+export function rgb(r = 255, g = 255, b = 255, a = 1.0) {
+    return Object.assign(Object.create(colorProto), { r, g, b, a });
+}
+
+/**
+ * Crea un color a partir de HSL
+ * @param {number} [h=0] - Tono (0-360)
+ * @param {number} [s=100] - Saturación (0-100)
+ * @param {number} [l=50] - Luminosidad (0-100)
+ * @param {number} [a=1.0] - Canal alfa (0-1)
+ * @returns {Object} Color
+ */
+export function hsl(h = 0, s = 100, l = 50, a = 1.0) {
+    const { r, g, b } = hslToRgb(h, s, l);
+    return rgb(r, g, b, a);
+}
+
+/**
+ * Crea un color a partir de HSB (también llamado HSV)
+ * @param {number} [h=0] - Tono (0-360)
+ * @param {number} [s=100] - Saturación (0-100)
+ * @param {number} [br=100] - Brillo (0-100)
+ * @param {number} [a=1.0] - Canal alfa (0-1)
+ * @returns {Object} Color
+ */
+export function hsb(h = 0, s = 100, br = 100, a = 1.0) {
+    const { r, g, b } = hsbToRgb(h, s, br);
+    return rgb(r, g, b, a);
+}
+
+/**
+ * Crea un color a partir de OKLCH (perceptualmente uniforme). Los colores fuera
+ * del rango sRGB se recortan
+ * @param {number} [l=0.7] - Luminosidad (0-1)
+ * @param {number} [c=0.1] - Croma (0 a ~0.4)
+ * @param {number} [h=0] - Tono (0-360)
+ * @param {number} [a=1.0] - Canal alfa (0-1)
+ * @returns {Object} Color
+ */
+export function oklch(l = 0.7, c = 0.1, h = 0, a = 1.0) {
+    const { r, g, b } = oklchToRgb(l, c, h);
+    return rgb(r, g, b, a);
+}
+
+/**
+ * Convierte un valor en un color
+ * @param {string|Object|number[]} c - Texto CSS (#hex, rgb(), rgba(), hsl(), hsla(), hsb(), oklch() o
+ *   nombre), un color existente, un objeto {r, g, b, a} o un array [r, g, b, a]
+ * @returns {Object} Color
+ * @example
+ * parseColor('#ff8800').toHSL();
+ * parseColor('hsl(200 80% 50% / 0.5)').a; // 0.5
+ */
+export function parseColor(c) {
+    if (Array.isArray(c)) {
+        return rgb(c[0], c[1], c[2], c[3] ?? 1);
+    }
+    if (typeof c === 'object' && c !== null) {
+        return rgb(c.r, c.g, c.b, c.a ?? 1);
+    }
+    const str = String(c).trim().toLowerCase();
+    if (str === 'transparent') {
+        return rgb(0, 0, 0, 0);
+    }
+    if (NAMED[str]) {
+        return parseColor('#' + NAMED[str]);
+    }
+    if (str[0] === '#') {
+        let hex = str.slice(1);
+        if (hex.length === 3 || hex.length === 4) {
+            hex = [...hex].map((h) => h + h).join('');
+        }
+        if (/^[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) {
+            const n = (i) => parseInt(hex.slice(i, i + 2), 16);
+            return rgb(n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1);
+        }
+    }
+    const m = /^(rgba?|hsla?|hsb|hsba|oklch)\(([^)]*)\)$/.exec(str);
+    if (m) {
+        const parts = m[2].split(/[\s,/]+/).filter(Boolean);
+        // Valores con porcentaje: en rgb son relativos a 255, en el resto se usa el número
+        const value = (v, full) => (v.endsWith('%') ? (parseFloat(v) / 100) * full : parseFloat(v));
+        const alpha = parts[3] !== undefined ? value(parts[3], 1) : 1;
+        if (m[1].startsWith('rgb')) {
+            return rgb(value(parts[0], 255), value(parts[1], 255), value(parts[2], 255), alpha);
+        }
+        if (m[1].startsWith('hsl')) {
+            return hsl(parseFloat(parts[0]), parseFloat(parts[1]), parseFloat(parts[2]), alpha);
+        }
+        if (m[1].startsWith('hsb')) {
+            return hsb(parseFloat(parts[0]), parseFloat(parts[1]), parseFloat(parts[2]), alpha);
+        }
+        return oklch(value(parts[0], 1), value(parts[1], 0.4), parseFloat(parts[2]), alpha);
+    }
+    throw new Error(`Color no reconocido: ${c}`);
+}
+
+/**
+ * Interpola entre dos colores
+ * @param {*} c1 - Color inicial (cualquier valor aceptado por parseColor)
+ * @param {*} c2 - Color final
+ * @param {number} t - Posición entre 0 y 1
+ * @param {string} [space='rgb'] - Espacio de interpolación: 'rgb', 'hsl', 'hsb' u 'oklch'
+ * @returns {Object} Color interpolado
+ */
+export function lerpColor(c1, c2, t, space = 'rgb') {
+    const a = parseColor(c1);
+    const b = parseColor(c2);
+    const mix = (x, y) => x + (y - x) * t;
+    const alpha = mix(a.a, b.a);
+    if (space === 'rgb') {
+        return rgb(mix(a.r, b.r), mix(a.g, b.g), mix(a.b, b.b), alpha);
+    }
+    // Interpola el tono por el camino más corto; los grises no tienen tono
+    const mixHue = (h1, s1, h2, s2) => {
+        if (!s1) return h2;
+        if (!s2) return h1;
+        const d = ((h2 - h1 + 540) % 360) - 180;
+        return wrapHue(h1 + d * t);
+    };
+    if (space === 'hsl') {
+        const x = a.toHSL(), y = b.toHSL();
+        return hsl(mixHue(x.h, x.s, y.h, y.s), mix(x.s, y.s), mix(x.l, y.l), alpha);
+    }
+    if (space === 'hsb') {
+        const x = a.toHSB(), y = b.toHSB();
+        return hsb(mixHue(x.h, x.s, y.h, y.s), mix(x.s, y.s), mix(x.b, y.b), alpha);
+    }
+    if (space === 'oklch') {
+        // Umbral de croma por debajo del cual el color se considera gris
+        const x = a.toOKLCH(), y = b.toOKLCH();
+        const cx = x.c > 0.002 ? x.c : 0, cy = y.c > 0.002 ? y.c : 0;
+        return oklch(mix(x.l, y.l), mix(x.c, y.c), mixHue(x.h, cx, y.h, cy), alpha);
+    }
+    throw new Error(`Espacio de color no soportado: ${space}`);
+}
+
+/**
+ * Genera n colores repartidos a lo largo de un degradado de varios colores
+ * @param {Array} colors - Colores del degradado (al menos uno)
+ * @param {number} n - Cantidad de colores a generar
+ * @param {string} [space='oklch'] - Espacio de interpolación
+ * @returns {Object[]} Colores
+ * @example
+ * colorRamp(['#0d0887', '#cc4778', '#f0f921'], 8);
+ */
+export function colorRamp(colors, n, space = 'oklch') {
+    const stops = colors.map(parseColor);
+    if (stops.length === 1 || n === 1) {
+        return Array.from({ length: n }, () => stops[0].withAlpha(stops[0].a));
+    }
+    return Array.from({ length: n }, (_, i) => {
+        const pos = (i / (n - 1)) * (stops.length - 1);
+        const k = Math.min(Math.floor(pos), stops.length - 2);
+        return lerpColor(stops[k], stops[k + 1], pos - k, space);
+    });
+}
+
+/**
+ * Genera colores con tonos vecinos
+ * @param {*} c - Color base
+ * @param {number} [n=3] - Cantidad de colores (el base queda en el centro)
+ * @param {number} [angle=30] - Separación de tono en grados
+ * @returns {Object[]} Colores
+ */
+export function analogous(c, n = 3, angle = 30) {
+    const { h, s, l, a } = parseColor(c).toHSL();
+    return Array.from({ length: n }, (_, i) => hsl(wrapHue(h + (i - (n - 1) / 2) * angle), s, l, a));
+}
+
+/**
+ * Genera el color base y su complementario
+ * @param {*} c - Color base
+ * @returns {Object[]} [base, complementario]
+ */
+export function complementary(c) {
+    return rotateHues(c, [0, 180]);
+}
+
+/**
+ * Genera el color base y los complementarios divididos
+ * @param {*} c - Color base
+ * @param {number} [angle=30] - Separación respecto al complementario
+ * @returns {Object[]} [base, complementario - angle, complementario + angle]
+ */
+export function splitComplementary(c, angle = 30) {
+    return rotateHues(c, [0, 180 - angle, 180 + angle]);
+}
+
+/**
+ * Genera tres colores separados 120°
+ * @param {*} c - Color base
+ * @returns {Object[]} Colores
+ */
+export function triadic(c) {
+    return rotateHues(c, [0, 120, 240]);
+}
+
+/**
+ * Genera cuatro colores separados 90°
+ * @param {*} c - Color base
+ * @returns {Object[]} Colores
+ */
+export function tetradic(c) {
+    return rotateHues(c, [0, 90, 180, 270]);
+}
+
+/**
+ * Rota el tono de un color en HSL
+ * @param {*} c - Color base
+ * @param {number[]} angles - Rotaciones en grados
+ * @returns {Object[]} Colores
+ */
+function rotateHues(c, angles) {
+    const { h, s, l, a } = parseColor(c).toHSL();
+    return angles.map((d) => hsl(wrapHue(h + d), s, l, a));
+}
+
+// Conversiones entre espacios de color
+
+/**
+ * Convierte RGB a HSL
+ * @param {number} r - Rojo (0-255)
+ * @param {number} g - Verde (0-255)
+ * @param {number} b - Azul (0-255)
+ * @returns {{h: number, s: number, l: number}} Tono (0-360), saturación y luminosidad (0-100)
+ */
+function rgbToHsl(r, g, b) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+    return { h: hue(r, g, b, max, d), s: s * 100, l: l * 100 };
+}
+
+/**
+ * Convierte RGB a HSB
+ * @param {number} r - Rojo (0-255)
+ * @param {number} g - Verde (0-255)
+ * @param {number} b - Azul (0-255)
+ * @returns {{h: number, s: number, b: number}} Tono (0-360), saturación y brillo (0-100)
+ */
+function rgbToHsb(r, g, b) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b);
+    const d = max - Math.min(r, g, b);
+    return { h: hue(r, g, b, max, d), s: max === 0 ? 0 : (d / max) * 100, b: max * 100 };
+}
+
+/**
+ * Tono común a HSL y HSB
+ * @param {number} r - Rojo (0-1)
+ * @param {number} g - Verde (0-1)
+ * @param {number} b - Azul (0-1)
+ * @param {number} max - Mayor de los tres canales
+ * @param {number} d - Diferencia entre el mayor y el menor canal
+ * @returns {number} Tono en grados (0-360)
+ */
+function hue(r, g, b, max, d) {
+    if (d === 0) return 0;
+    let h;
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return wrapHue(h * 60);
+}
+
+/**
+ * Convierte HSL a RGB
+ * @param {number} h - Tono en grados
+ * @param {number} s - Saturación (0-100)
+ * @param {number} l - Luminosidad (0-100)
+ * @returns {{r: number, g: number, b: number}} Canales (0-255, sin redondear)
+ */
+function hslToRgb(h, s, l) {
+    s /= 100; l /= 100;
+    const k = (n) => (n + wrapHue(h) / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+}
+
+/**
+ * Convierte HSB a RGB
+ * @param {number} h - Tono en grados
+ * @param {number} s - Saturación (0-100)
+ * @param {number} v - Brillo (0-100)
+ * @returns {{r: number, g: number, b: number}} Canales (0-255, sin redondear)
+ */
+function hsbToRgb(h, s, v) {
+    s /= 100; v /= 100;
+    const k = (n) => (n + wrapHue(h) / 60) % 6;
+    const f = (n) => v - v * s * Math.max(0, Math.min(k(n), 4 - k(n), 1));
+    return { r: f(5) * 255, g: f(3) * 255, b: f(1) * 255 };
+}
+
+/**
+ * Quita la corrección gamma de sRGB
+ * @param {number} c - Canal (0-255)
+ * @returns {number} Canal lineal (0-1)
+ */
+const toLinear = (c) => {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+/**
+ * Aplica la corrección gamma de sRGB
+ * @param {number} c - Canal lineal
+ * @returns {number} Canal (0-255, limitado al rango)
+ */
+const fromLinear = (c) => {
+    const v = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return clamp(v, 0, 1) * 255;
+};
+
+/**
+ * Convierte RGB a OKLCH
+ * @param {number} r - Rojo (0-255)
+ * @param {number} g - Verde (0-255)
+ * @param {number} b - Azul (0-255)
+ * @returns {{l: number, c: number, h: number}} Luminosidad (0-1), croma y tono en grados (0-360)
+ */
+function rgbToOklch(r, g, b) {
+    const lr = toLinear(r), lg = toLinear(g), lb = toLinear(b);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    const L = 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s;
+    const A = 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s;
+    const B = 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s;
+    return { l: L, c: Math.hypot(A, B), h: wrapHue((Math.atan2(B, A) * 180) / Math.PI) };
+}
+
+/**
+ * Convierte OKLCH a RGB. Los colores fuera de sRGB se recortan en cada canal
+ * @param {number} L - Luminosidad (0-1)
+ * @param {number} C - Croma
+ * @param {number} H - Tono en grados
+ * @returns {{r: number, g: number, b: number}} Canales (0-255, sin redondear)
+ */
+function oklchToRgb(L, C, H) {
+    const h = (H * Math.PI) / 180;
+    const A = C * Math.cos(h);
+    const B = C * Math.sin(h);
+    const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+    const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+    const s = Math.pow(L - 0.0894841775 * A - 1.291485548 * B, 3);
+    return {
+        r: fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s),
+    };
+}
@@ -0,0 +1,62 @@
+const env = {
+    createCanvas: null,
+    loadImage: null,
+};
+
+/**
+ * Reemplaza la creación de canvas y la carga de imágenes, para usar ascanvas2d fuera del
+ * navegador (por ejemplo en Node con node-canvas, skia-canvas o @napi-rs/canvas)
+ * @param {Function|null} createCanvas - Recibe (w, h) y retorna un canvas con getContext('2d'). null restaura el navegador
+ * @param {Object} [options]
+ * @param {Function} [options.loadImage] - Recibe una ruta o URL y retorna una promesa con una imagen dibujable
+ * @example
+ * import { createCanvas, loadImage } from 'canvas';
+ * setCanvasFactory(createCanvas, { loadImage });
+ */
+export function setCanvasFactory(createCanvas, { loadImage = null } = {}) {
+    env.createCanvas = createCanvas;
+    env.loadImage = loadImage;
+}
+
+/**
+ * Crea un canvas con la fábrica configurada, o con el documento o un OffscreenCanvas
+ * @param {number} w - Ancho en píxeles
+ * @param {number} h - Alto en píxeles
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Nuevo canvas
+ */
+export function newCanvas(w, h) {
+    if (env.createCanvas) {
+        return env.createCanvas(w, h);
+    }
+    if (typeof document !== 'undefined') {
+        const c = document.createElement('canvas');
+        c.width = w;
+        c.height = h;
+        return c;
+    }
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(w, h);
+    }
+    throw new Error('No hay document ni OffscreenCanvas: usar setCanvasFactory()');
+}
+
+/**
+ * Cargador de imágenes configurado con setCanvasFactory
+ * @returns {Function|null} El cargador, o null si se usa el del navegador
+ */
+export function imageLoader() {
+    return env.loadImage;
+}
+
+/**
+ * Obtiene un elemento del documento a partir de un selector o del propio elemento
+ * @param {string|HTMLElement} el - Selector CSS o elemento
+ * @returns {HTMLElement} El elemento encontrado
+ */
+export function resolveElement(el) {
+    const found = typeof el === 'string' ? document.querySelector(el) : el;
+    if (!found) {
+        throw new Error(`No se encontró el elemento ${el}`);
+    }
+    return found;
+}
@@ -0,0 +1,355 @@
+/**
+ * Filtros de imagen sobre ImageData
+ *
+ * Funcionan con cualquier canvas (incluidos los de createOffCanvas) o
+ * directamente sobre un ImageData con applyFilter.
+ */
+
+/** Escala de grises */
+export const GRAY = 'gray';
+/** Invierte los colores */
+export const INVERT = 'invert';
+/** Blanco y negro según un umbral de luminancia (0-1, por defecto 0.5) */
+export const THRESHOLD = 'threshold';
+/** Reduce cada canal a una cantidad de niveles (por defecto 4) */
+export const POSTERIZE = 'posterize';
+/** Desenfoque de caja con un radio (por defecto 1) */
+export const BLUR = 'blur';
+/** Desenfoque gaussiano con un sigma (por defecto 2) */
+export const GAUSSIAN = 'gaussian';
+/** Expande las zonas claras con un radio (por defecto 1) */
+export const DILATE = 'dilate';
+/** Expande las zonas oscuras con un radio (por defecto 1) */
+export const ERODE = 'erode';
+/** Convolución con un kernel (array 2D de tamaño impar) */
+export const CONVOLVE = 'convolve';
+/** Dithering Floyd–Steinberg en escala de grises, con una cantidad de niveles (por defecto 2) */
+export const DITHER = 'dither';
+/** Dithering ordenado (matriz Bayer 4x4) en escala de grises, con una cantidad de niveles (por defecto 2) */
+export const ORDERED = 'ordered';
+
+/** Filtros cuyo parámetro es una distancia y se ajusta a la resolución del canvas */
+const SCALED = [BLUR, GAUSSIAN, DILATE, ERODE];
+
+/** Matriz Bayer 4x4 normalizada (0 a 1) */
+const BAYER4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map((v) => (v + 0.5) / 16);
+
+/**
+ * Luminancia de un color (Rec. 709)
+ * @param {number} r - Rojo (0-255)
+ * @param {number} g - Verde (0-255)
+ * @param {number} b - Azul (0-255)
+ * @returns {number} Luminancia (0-255)
+ */
+function luma(r, g, b) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Cuantiza un valor a una cantidad de niveles
+ * @param {number} v - Valor (0-255)
+ * @param {number} levels - Cantidad de niveles (2 o más)
+ * @returns {number} Valor cuantizado (0-255)
+ */
+function quantize(v, levels) {
+    const step = 255 / (levels - 1);
+    return Math.round(Math.min(255, Math.max(0, v)) / step) * step;
+}
+
+/**
+ * Una pasada de desenfoque de caja en una dirección, con bordes extendidos
+ * @param {ArrayLike<number>} src - Datos de origen (RGBA)
+ * @param {Float32Array} dst - Datos de destino (RGBA)
+ * @param {number} w - Ancho
+ * @param {number} h - Alto
+ * @param {number} r - Radio
+ * @param {boolean} vertical - Dirección
+ */
+function boxPass(src, dst, w, h, r, vertical) {
+    const len = vertical ? h : w;
+    const lines = vertical ? w : h;
+    const step = vertical ? w * 4 : 4;
+    const size = r * 2 + 1;
+    for (let line = 0; line < lines; line++) {
+        const start = vertical ? line * 4 : line * w * 4;
+        for (let c = 0; c < 4; c++) {
+            const at = (k) => src[start + Math.min(len - 1, Math.max(0, k)) * step + c];
+            let sum = 0;
+            for (let k = -r; k <= r; k++) sum += at(k);
+            for (let k = 0; k < len; k++) {
+                dst[start + k * step + c] = sum / size;
+                sum += at(k + r + 1) - at(k - r);
+            }
+        }
+    }
+}
+
+/**
+ * Desenfoque de caja separable (horizontal y vertical)
+ * @param {Uint8ClampedArray} data - Datos RGBA (se modifican)
+ * @param {number} w - Ancho
+ * @param {number} h - Alto
+ * @param {number} r - Radio en píxeles
+ */
+function boxBlur(data, w, h, r) {
+    if (r < 1) return;
+    const a = new Float32Array(data.length);
+    const b = new Float32Array(data.length);
+    boxPass(data, a, w, h, r, false);
+    boxPass(a, b, w, h, r, true);
+    data.set(b);
+}
+
+/**
+ * Desenfoque gaussiano aproximado con tres desenfoques de caja
+ * @param {Uint8ClampedArray} data - Datos RGBA (se modifican)
+ * @param {number} w - Ancho
+ * @param {number} h - Alto
+ * @param {number} sigma - Desviación estándar en píxeles
+ */
+function gaussianBlur(data, w, h, sigma) {
+    const n = 3;
+    let wl = Math.floor(Math.sqrt((12 * sigma * sigma) / n + 1));
+    if (wl % 2 === 0) wl--;
+    const m = Math.round((12 * sigma * sigma - n * wl * wl - 4 * n * wl - 3 * n) / (-4 * wl - 4));
+    for (let i = 0; i < n; i++) {
+        boxBlur(data, w, h, ((i < m ? wl : wl + 2) - 1) / 2);
+    }
+}
+
+/**
+ * Máximo (dilatar) o mínimo (erosionar) por canal en un cuadrado de radio r
+ * @param {Uint8ClampedArray} data - Datos RGBA (se modifican)
+ * @param {number} w - Ancho
+ * @param {number} h - Alto
+ * @param {number} r - Radio en píxeles
+ * @param {Function} pick - Math.max o Math.min
+ */
+function morph(data, w, h, r, pick) {
+    const tmp = new Uint8ClampedArray(data.length);
+    // Primero horizontal (data -> tmp) y luego vertical (tmp -> data)
+    for (const vertical of [false, true]) {
+        const src = vertical ? tmp : data;
+        const dst = vertical ? data : tmp;
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = (y * w + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    let v = src[i + c];
+                    for (let k = -r; k <= r; k++) {
+                        const xx = vertical ? x : Math.min(w - 1, Math.max(0, x + k));
+                        const yy = vertical ? Math.min(h - 1, Math.max(0, y + k)) : y;
+                        v = pick(v, src[(yy * w + xx) * 4 + c]);
+                    }
+                    dst[i + c] = v;
+                }
+                dst[i + 3] = src[i + 3];
+            }
+        }
+    }
+}
+
+/**
+ * Convolución con un kernel cuadrado de tamaño impar, con bordes extendidos.
+ * Si la suma del kernel no es 0 se normaliza
+ * @param {Uint8ClampedArray} data - Datos RGBA (se modifican)
+ * @param {number} w - Ancho
+ * @param {number} h - Alto
+ * @param {number[][]} kernel - Kernel
+ */
+function convolve(data, w, h, kernel) {
+    const src = Uint8ClampedArray.from(data);
+    const size = kernel.length;
+    const half = Math.floor(size / 2);
+    const sum = kernel.flat().reduce((s, k) => s + k, 0) || 1;
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (let ky = 0; ky < size; ky++) {
+                const yy = Math.min(h - 1, Math.max(0, y + ky - half));
+                for (let kx = 0; kx < size; kx++) {
+                    const xx = Math.min(w - 1, Math.max(0, x + kx - half));
+                    const k = kernel[ky][kx];
+                    const j = (yy * w + xx) * 4;
+                    r += src[j] * k;
+                    g += src[j + 1] * k;
+                    b += src[j + 2] * k;
+                }
+            }
+            const i = (y * w + x) * 4;
+            data[i] = r / sum;
+            data[i + 1] = g / sum;
+            data[i + 2] = b / sum;
+        }
+    }
+}
+
+/**
+ * Dithering Floyd–Steinberg en escala de grises
+ * @param {Uint8ClampedArray} data - Datos RGBA (se modifican)
+ * @param {number} w - Ancho
+ * @param {number} h - Alto
+ * @param {number} levels - Cantidad de niveles de gris
+ */
+function floydSteinberg(data, w, h, levels) {
+    const gray = new Float32Array(w * h);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = luma(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    }
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const i = y * w + x;
+            const v = quantize(gray[i], levels);
+            const err = gray[i] - v;
+            gray[i] = v;
+            // Reparte el error en los vecinos todavía no procesados
+            if (x + 1 < w) gray[i + 1] += (err * 7) / 16;
+            if (y + 1 < h) {
+                if (x > 0) gray[i + w - 1] += (err * 3) / 16;
+                gray[i + w] += (err * 5) / 16;
+                if (x + 1 < w) gray[i + w + 1] += err / 16;
+            }
+        }
+    }
+    for (let i = 0; i < gray.length; i++) {
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray[i];
+    }
+}
+
+/**
+ * Valida el parámetro de un filtro. Sin parámetro se usa el valor por defecto
+ * @param {string} type - Tipo de filtro
+ * @param {*} param - Parámetro del filtro
+ */
+function checkParam(type, param) {
+    if (type === CONVOLVE) {
+        const ok = Array.isArray(param) && param.length % 2 === 1
+            && param.every((row) => Array.isArray(row) && row.length === param.length && row.every(Number.isFinite));
+        if (!ok) {
+            throw new Error('El kernel de convolve debe ser un array 2D cuadrado de tamaño impar');
+        }
+        return;
+    }
+    if (param === undefined || type === GRAY || type === INVERT) return;
+    if (type === THRESHOLD && !(Number.isFinite(param) && param >= 0 && param <= 1)) {
+        throw new Error(`El umbral de threshold debe ser un número entre 0 y 1: ${param}`);
+    }
+    if ([POSTERIZE, DITHER, ORDERED].includes(type) && !(Number.isFinite(param) && param >= 2)) {
+        throw new Error(`Los niveles de ${type} deben ser un número mayor o igual a 2: ${param}`);
+    }
+    if (SCALED.includes(type) && !(Number.isFinite(param) && param >= 0)) {
+        throw new Error(`El parámetro de ${type} debe ser un número mayor o igual a 0: ${param}`);
+    }
+}
+
+/**
+ * Aplica un filtro a un ImageData
+ * @param {ImageData} imageData - Imagen (se modifica)
+ * @param {string} type - Tipo de filtro (GRAY, INVERT, THRESHOLD, POSTERIZE, BLUR, GAUSSIAN,
+ *   DILATE, ERODE, CONVOLVE, DITHER u ORDERED)
+ * @param {number|number[][]} [param] - Parámetro del filtro (ver cada constante). Las distancias
+ *   están en píxeles reales
+ * @returns {ImageData} La misma imagen, filtrada
+ * @example
+ * const img = getImage(0, 0, 100, 100, canvas);
+ * image(applyFilter(img, THRESHOLD, 0.4), 0, 0, canvas);
+ */
+export function applyFilter(imageData, type, param) {
+    checkParam(type, param);
+    const { data, width: w, height: h } = imageData;
+    switch (type) {
+        case GRAY:
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = data[i + 1] = data[i + 2] = luma(data[i], data[i + 1], data[i + 2]);
+            }
+            break;
+        case INVERT:
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = 255 - data[i];
+                data[i + 1] = 255 - data[i + 1];
+                data[i + 2] = 255 - data[i + 2];
+            }
+            break;
+        case THRESHOLD: {
+            const t = (param ?? 0.5) * 255;
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = data[i + 1] = data[i + 2] = luma(data[i], data[i + 1], data[i + 2]) >= t ? 255 : 0;
+            }
+            break;
+        }
+        case POSTERIZE: {
+            const levels = param ?? 4;
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = quantize(data[i], levels);
+                data[i + 1] = quantize(data[i + 1], levels);
+                data[i + 2] = quantize(data[i + 2], levels);
+            }
+            break;
+        }
+        case BLUR:
+            boxBlur(data, w, h, Math.round(param ?? 1));
+            break;
+        case GAUSSIAN:
+            gaussianBlur(data, w, h, param ?? 2);
+            break;
+        case DILATE:
+            morph(data, w, h, Math.round(param ?? 1), Math.max);
+            break;
+        case ERODE:
+            morph(data, w, h, Math.round(param ?? 1), Math.min);
+            break;
+        case CONVOLVE:
+            convolve(data, w, h, param);
+            break;
+        case DITHER:
+            floydSteinberg(data, w, h, param ?? 2);
+            break;
+        case ORDERED: {
+            const levels = param ?? 2;
+            const spread = 255 / (levels - 1);
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const i = (y * w + x) * 4;
+                    const v = luma(data[i], data[i + 1], data[i + 2]);
+                    const t = BAYER4[(y % 4) * 4 + (x % 4)] - 0.5;
+                    data[i] = data[i + 1] = data[i + 2] = quantize(v + t * spread, levels);
+                }
+            }
+            break;
+        }
+        default:
+            throw new Error(`Filtro no reconocido: ${type}`);
+    }
+    return imageData;
+}
+
+/**
+ * Aplica un filtro a todo el canvas
+ *
+ * Los radios de BLUR, GAUSSIAN, DILATE y ERODE están en unidades de dibujo y
+ * se ajustan a la resolución del canvas. El parámetro se puede omitir:
+ * `filter(GRAY, canvas)`. Si no es válido para el filtro se lanza un error.
+ *
+ * @param {string} type - Tipo de filtro (ver applyFilter)
+ * @param {number|number[][]} [param] - Parámetro del filtro
+ * @param {HTMLCanvasElement|OffscreenCanvas} cv - Canvas
+ * @example
+ * filter(GAUSSIAN, 4, canvas);
+ * filter(DITHER, canvas);
+ * filter(CONVOLVE, [[0, -1, 0], [-1, 5, -1], [0, -1, 0]], canvas); // Enfocar
+ */
+export function filter(type, param, cv) {
+    if (cv === undefined && param?.getContext) {
+        cv = param;
+        param = undefined;
+    }
+    checkParam(type, param);
+    const ctx = cv._context ?? cv.getContext('2d', { willReadFrequently: true });
+    if (SCALED.includes(type)) {
+        param = (param ?? (type === GAUSSIAN ? 2 : 1)) * (cv.resolution ?? 1);
+    }
+    const imageData = ctx.getImageData(0, 0, cv.width, cv.height);
+    ctx.putImageData(applyFilter(imageData, type, param), 0, 0);
+}
@@ -1,52 +1,98 @@
+import { parseColor, rgb } from './ascanvas2d.color.js';
+import { newCanvas, imageLoader } from './ascanvas2d.env.js';
+import { arcSweep, pointInPolygon, polygonArea } from './ascanvas2d.math.js';
+
 /**
  * Obtiene el contexto 2D de un canvas
+ * Si el canvas tiene un contexto alternativo en `cv._context` (por ejemplo el
+ * que graba SVG) se utiliza ese
  * @param {HTMLCanvasElement} cv - Elemento canvas
  * @returns {CanvasRenderingContext2D} Contexto 2D del canvas
  */
 function getContext(cv) {
-    return cv.getContext('2d', { willReadFrequently: true });
+    return cv._context ?? cv.getContext('2d', { willReadFrequently: true });
+}
+
+/**
+ * Convierte un color en un estilo del contexto. Los colores de
+ * ascanvas2d.color.js se pasan a texto CSS; degradados y patrones no cambian
+ * @param {string|Object|CanvasGradient|CanvasPattern} c - Color o estilo
+ * @returns {string|CanvasGradient|CanvasPattern} Estilo para el contexto
+ */
+function toStyle(c) {
+    return c?.isColor ? c.toString() : c;
+}
+
+/** Estado de ascanvas2d que el contexto 2D no guarda, por canvas */
+const states = new WeakMap();
+
+/**
+ * Obtiene el estado propio de un canvas (se guarda y restaura con push/pop)
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {Object} Estado actual
+ */
+function getState(cv) {
+    if (!states.has(cv)) {
+        states.set(cv, { current: {}, stack: [] });
+    }
+    return states.get(cv).current;
 }
 
 /**
  * Establece el color de fondo del canvas
- * @param {string} c - Color de fondo
+ * Cubre todo el canvas sin importar la transformación, el modo de mezcla, el
+ * alfa, la sombra o el modo borrador actuales (que no se modifican)
+ * @param {string|Object} c - Color de fondo
  * @param {HTMLCanvasElement} cv - Elemento canvas
  */
 export function bg(c, cv) {
     getContext(cv).save();
+    getContext(cv).setTransform(cv.resolution, 0, 0, cv.resolution, 0, 0);
+    getContext(cv).globalAlpha = 1;
+    getContext(cv).globalCompositeOperation = 'source-over';
+    getContext(cv).shadowColor = 'transparent';
     getContext(cv).strokeStyle = 'transparent';
-    getContext(cv).fillStyle = c;
+    getContext(cv).fillStyle = toStyle(c);
     getContext(cv).fillRect(0, 0, cv.width / cv.resolution, cv.height / cv.resolution);
     getContext(cv).restore();
 }
 
 /**
- * Establece el tamaño del canvas
+ * Establece el tamaño del canvas en unidades de dibujo (se multiplica por la resolución)
  * @param {number} w - Ancho en píxeles
  * @param {number} h - Alto en píxeles
  * @param {HTMLCanvasElement} cv - Elemento canvas
  */
 export function size(w, h, cv) {
-    cv.width = w * (cv.resolution ?? 1);
-    cv.height = h * (cv.resolution ?? 1);
+    const resolution = cv.resolution ?? 1;
+    cv.width = w * resolution;
+    cv.height = h * resolution;
+    // Un OffscreenCanvas no tiene tamaño CSS
+    if (cv._isMainCanvas && cv.style) {
+        cv.style.width = w + 'px';
+        cv.style.height = h + 'px';
+    }
+    // Cambiar el tamaño reinicia el contexto: se vuelve a aplicar la escala
+    getContext(cv).setTransform(resolution, 0, 0, resolution, 0, 0);
+    // El buffer de loadPixels() ya no corresponde al canvas
+    pixelBuffers.delete(cv);
 }
 
 /**
- * Ajusta el canvas al tamaño de la ventana
+ * Ajusta el canvas al tamaño de la ventana manteniendo la resolución
  * @param {HTMLCanvasElement} cv - Elemento canvas
  */
 export function fullSize(cv) {
-    cv.width = window.innerWidth;
-    cv.height = window.innerHeight;
+    size(window.innerWidth, window.innerHeight, cv);
 }
 
 /**
  * Establece el color de relleno
- * @param {string} [c='#fff'] - Color de relleno
+ * @param {string|Object} [c='#fff'] - Color de relleno
  * @param {HTMLCanvasElement} cv - Elemento canvas
  */
 export function fill(c = '#fff', cv) {
-    getContext(cv).fillStyle = c;
+    getContext(cv).fillStyle = toStyle(c);
 }
 
 /**
@@ -59,11 +105,11 @@ export function noFill(cv) {
 
 /**
  * Establece el color del trazo
- * @param {string} [c='#000'] - Color del trazo
+ * @param {string|Object} [c='#000'] - Color del trazo
  * @param {HTMLCanvasElement} cv - Elemento canvas
  */
 export function stroke(c = '#000', cv) {
-    getContext(cv).strokeStyle = c;
+    getContext(cv).strokeStyle = toStyle(c);
 }
 
 /**
@@ -135,6 +181,55 @@ export function line(x1, y1, x2, y2, cv) {
 export function lineCapRound(cv) {
     getContext(cv).lineCap = 'round';
 }
+
+/** Extremo o unión de línea redondeada */
+export const ROUND = 'round';
+/** Extremo de línea cuadrado, sobresale medio ancho del trazo */
+export const SQUARE = 'square';
+/** Extremo de línea recto, termina justo en el punto (por defecto) */
+export const BUTT = 'butt';
+/** Unión de línea en punta (por defecto) */
+export const MITER = 'miter';
+/** Unión de línea biselada */
+export const BEVEL = 'bevel';
+
+/**
+ * Establece el estilo de extremo de línea
+ * @param {string} cap - BUTT, ROUND o SQUARE
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function lineCap(cap, cv) {
+    getContext(cv).lineCap = cap;
+}
+
+/**
+ * Establece el estilo de unión entre segmentos de línea
+ * @param {string} join - MITER, ROUND o BEVEL
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function lineJoin(join, cv) {
+    getContext(cv).lineJoin = join;
+}
+
+/**
+ * Establece un patrón de línea punteada
+ * @param {number[]} segments - Largos alternados de trazo y espacio. [] vuelve a la línea continua
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @example
+ * lineDash([10, 5], canvas);
+ */
+export function lineDash(segments, cv) {
+    getContext(cv).setLineDash(segments);
+}
+
+/**
+ * Desplaza el inicio del patrón de línea punteada (útil para animarlo)
+ * @param {number} offset - Desplazamiento
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function lineDashOffset(offset, cv) {
+    getContext(cv).lineDashOffset = offset;
+}
 /**
  * Dibuja un punto en el canvas
  * @param {number} x - Posición X
@@ -151,16 +246,545 @@ export function point(x, y, cv) {
     getContext(cv).restore();
 }
 
+/** Cierra la forma en endShape() */
+export const CLOSE = 'close';
+/** Arco abierto: el relleno se cierra con una cuerda pero el trazo no */
+export const OPEN = 'open';
+/** Arco cerrado con una cuerda */
+export const CHORD = 'chord';
+/** Arco cerrado hacia el centro (porción de torta) */
+export const PIE = 'pie';
+
+/** Forma en construcción de cada canvas (beginShape/endShape) */
+const shapes = new WeakMap();
+
+/**
+ * Obtiene la forma en construcción de un canvas
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {Object} Forma {contours, current}
+ */
+function currentShape(cv) {
+    const shape = shapes.get(cv);
+    if (!shape) {
+        throw new Error('Se debe llamar a beginShape() antes de agregar vértices');
+    }
+    return shape;
+}
+
+/**
+ * Comienza una forma libre. Los vértices se agregan con vertex(), curveVertex(),
+ * bezierVertex() o quadraticVertex() y la forma se dibuja con endShape()
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @example
+ * beginShape(cv);
+ * vertex(0, 0, cv);
+ * vertex(100, 0, cv);
+ * vertex(50, 80, cv);
+ * endShape(CLOSE, cv);
+ */
+export function beginShape(cv) {
+    const main = [];
+    shapes.set(cv, { contours: [main], current: main });
+}
+
+/**
+ * Agrega un vértice a la forma
+ * @param {number} x - Posición X
+ * @param {number} y - Posición Y
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function vertex(x, y, cv) {
+    currentShape(cv).current.push({ type: 'vertex', x, y });
+}
+
+/**
+ * Agrega un vértice de curva Catmull-Rom. El primer y el último vértice de
+ * curva consecutivos solo actúan como puntos de control
+ * @param {number} x - Posición X
+ * @param {number} y - Posición Y
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function curveVertex(x, y, cv) {
+    currentShape(cv).current.push({ type: 'curve', x, y });
+}
+
+/**
+ * Agrega una curva bezier cúbica desde el último vértice
+ * @param {number} x2 - Posición X del primer punto de control
+ * @param {number} y2 - Posición Y del primer punto de control
+ * @param {number} x3 - Posición X del segundo punto de control
+ * @param {number} y3 - Posición Y del segundo punto de control
+ * @param {number} x4 - Posición X final
+ * @param {number} y4 - Posición Y final
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function bezierVertex(x2, y2, x3, y3, x4, y4, cv) {
+    currentShape(cv).current.push({ type: 'bezier', x2, y2, x3, y3, x: x4, y: y4 });
+}
+
+/**
+ * Agrega una curva bezier cuadrática desde el último vértice
+ * @param {number} cx - Posición X del punto de control
+ * @param {number} cy - Posición Y del punto de control
+ * @param {number} x3 - Posición X final
+ * @param {number} y3 - Posición Y final
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function quadraticVertex(cx, cy, x3, y3, cv) {
+    currentShape(cv).current.push({ type: 'quadratic', cx, cy, x: x3, y: y3 });
+}
+
+/**
+ * Comienza un contorno interior (agujero) dentro de la forma
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function beginContour(cv) {
+    const shape = currentShape(cv);
+    shape.current = [];
+    shape.contours.push(shape.current);
+}
+
+/**
+ * Termina el contorno interior. Los contornos siempre se cierran
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function endContour(cv) {
+    const shape = currentShape(cv);
+    shape.current = shape.contours[0];
+}
+
+/**
+ * Traza un contorno en el contexto
+ * @param {CanvasRenderingContext2D} ctx - Contexto 2D
+ * @param {Object[]} vertices - Vértices del contorno
+ */
+function traceContour(ctx, vertices) {
+    let started = false;
+    const to = (x, y) => {
+        if (started) {
+            ctx.lineTo(x, y);
+        } else {
+            ctx.moveTo(x, y);
+            started = true;
+        }
+    };
+    for (let i = 0; i < vertices.length; i++) {
+        const v = vertices[i];
+        if (v.type === 'curve') {
+            // Tramo de vértices de curva consecutivos
+            let j = i;
+            while (j < vertices.length && vertices[j].type === 'curve') j++;
+            const p = vertices.slice(i, j);
+            if (p.length >= 4) {
+                to(p[1].x, p[1].y);
+                // Catmull-Rom convertido a bezier cúbica
+                for (let k = 1; k < p.length - 2; k++) {
+                    ctx.bezierCurveTo(
+                        p[k].x + (p[k + 1].x - p[k - 1].x) / 6,
+                        p[k].y + (p[k + 1].y - p[k - 1].y) / 6,
+                        p[k + 1].x - (p[k + 2].x - p[k].x) / 6,
+                        p[k + 1].y - (p[k + 2].y - p[k].y) / 6,
+                        p[k + 1].x,
+                        p[k + 1].y,
+                    );
+                }
+            }
+            i = j - 1;
+        } else if (v.type === 'bezier' && started) {
+            ctx.bezierCurveTo(v.x2, v.y2, v.x3, v.y3, v.x, v.y);
+        } else if (v.type === 'quadratic' && started) {
+            ctx.quadraticCurveTo(v.cx, v.cy, v.x, v.y);
+        } else {
+            to(v.x, v.y);
+        }
+    }
+}
+
+/**
+ * Termina y dibuja la forma con el relleno y trazo actuales
+ * @param {string} [mode] - CLOSE para cerrar la forma
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function endShape(mode, cv) {
+    const { contours } = currentShape(cv);
+    shapes.delete(cv);
+    const ctx = getContext(cv);
+    ctx.beginPath();
+    contours.forEach((vertices, i) => {
+        traceContour(ctx, vertices);
+        if (i > 0 || mode === CLOSE) ctx.closePath();
+    });
+    // Con contornos interiores se usa evenodd para que sean agujeros sin importar su sentido
+    ctx.fill(contours.length > 1 ? 'evenodd' : 'nonzero');
+    ctx.stroke();
+}
+
+/**
+ * Dibuja una elipse en el canvas
+ * @param {number} x - Posición X del centro
+ * @param {number} y - Posición Y del centro
+ * @param {number} rx - Radio horizontal
+ * @param {number} ry - Radio vertical
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function ellipse(x, y, rx, ry, cv) {
+    getContext(cv).beginPath();
+    getContext(cv).ellipse(x, y, rx, ry, 0, 0, 2 * Math.PI);
+    getContext(cv).closePath();
+    getContext(cv).fill();
+    getContext(cv).stroke();
+}
+
+/**
+ * Dibuja un arco de elipse en el canvas
+ * @param {number} x - Posición X del centro
+ * @param {number} y - Posición Y del centro
+ * @param {number} rx - Radio horizontal
+ * @param {number} ry - Radio vertical
+ * @param {number} start - Ángulo inicial en radianes
+ * @param {number} stop - Ángulo final en radianes
+ * @param {string} [mode=OPEN] - OPEN, CHORD o PIE
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function arc(x, y, rx, ry, start, stop, mode = OPEN, cv) {
+    getContext(cv).beginPath();
+    if (mode === PIE) {
+        getContext(cv).moveTo(x, y);
+    }
+    getContext(cv).ellipse(x, y, rx, ry, 0, start, stop);
+    if (mode === PIE || mode === CHORD) {
+        getContext(cv).closePath();
+    }
+    getContext(cv).fill();
+    getContext(cv).stroke();
+}
+
+/**
+ * Dibuja un triángulo en el canvas
+ * @param {number} x1 - Posición X del primer vértice
+ * @param {number} y1 - Posición Y del primer vértice
+ * @param {number} x2 - Posición X del segundo vértice
+ * @param {number} y2 - Posición Y del segundo vértice
+ * @param {number} x3 - Posición X del tercer vértice
+ * @param {number} y3 - Posición Y del tercer vértice
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function triangle(x1, y1, x2, y2, x3, y3, cv) {
+    getContext(cv).beginPath();
+    getContext(cv).moveTo(x1, y1);
+    getContext(cv).lineTo(x2, y2);
+    getContext(cv).lineTo(x3, y3);
+    getContext(cv).closePath();
+    getContext(cv).fill();
+    getContext(cv).stroke();
+}
+
+/**
+ * Dibuja un cuadrilátero en el canvas
+ * @param {number} x1 - Posición X del primer vértice
+ * @param {number} y1 - Posición Y del primer vértice
+ * @param {number} x2 - Posición X del segundo vértice
+ * @param {number} y2 - Posición Y del segundo vértice
+ * @param {number} x3 - Posición X del tercer vértice
+ * @param {number} y3 - Posición Y del tercer vértice
+ * @param {number} x4 - Posición X del cuarto vértice
+ * @param {number} y4 - Posición Y del cuarto vértice
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function quad(x1, y1, x2, y2, x3, y3, x4, y4, cv) {
+    getContext(cv).beginPath();
+    getContext(cv).moveTo(x1, y1);
+    getContext(cv).lineTo(x2, y2);
+    getContext(cv).lineTo(x3, y3);
+    getContext(cv).lineTo(x4, y4);
+    getContext(cv).closePath();
+    getContext(cv).fill();
+    getContext(cv).stroke();
+}
+
+/**
+ * Dibuja un rectángulo con esquinas redondeadas
+ * @param {number} x - Posición X de la esquina superior izquierda
+ * @param {number} y - Posición Y de la esquina superior izquierda
+ * @param {number} w - Ancho del rectángulo
+ * @param {number} h - Alto del rectángulo
+ * @param {number|number[]} r - Radio de las esquinas, o [superior izquierda, superior derecha, inferior derecha, inferior izquierda]
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function roundRect(x, y, w, h, r, cv) {
+    // El radio no puede superar la mitad del lado más corto
+    const max = Math.min(Math.abs(w), Math.abs(h)) / 2;
+    const [tl, tr, br, bl] = [0, 1, 2, 3].map((i) => Math.min((Array.isArray(r) ? r[i] : r) ?? 0, max));
+    const ctx = getContext(cv);
+    ctx.beginPath();
+    ctx.moveTo(x + tl, y);
+    ctx.lineTo(x + w - tr, y);
+    ctx.arc(x + w - tr, y + tr, tr, -Math.PI / 2, 0);
+    ctx.lineTo(x + w, y + h - br);
+    ctx.arc(x + w - br, y + h - br, br, 0, Math.PI / 2);
+    ctx.lineTo(x + bl, y + h);
+    ctx.arc(x + bl, y + h - bl, bl, Math.PI / 2, Math.PI);
+    ctx.lineTo(x, y + tl);
+    ctx.arc(x + tl, y + tl, tl, Math.PI, Math.PI * 1.5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+}
+
+/**
+ * Dibuja un polígono regular en el canvas
+ * @param {number} x - Posición X del centro
+ * @param {number} y - Posición Y del centro
+ * @param {number} r - Radio (distancia del centro a los vértices)
+ * @param {number} sides - Cantidad de lados
+ * @param {number} [rotation=0] - Rotación en radianes
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function polygon(x, y, r, sides, rotation = 0, cv) {
+    const ctx = getContext(cv);
+    ctx.beginPath();
+    for (let i = 0; i < sides; i++) {
+        const a = rotation + (i * 2 * Math.PI) / sides;
+        ctx.lineTo(x + Math.cos(a) * r, y + Math.sin(a) * r);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+}
+
+/** Alineación horizontal a la izquierda */
+export const LEFT = 'left';
+/** Alineación centrada */
+export const CENTER = 'center';
+/** Alineación horizontal a la derecha */
+export const RIGHT = 'right';
+/** Alineación vertical superior */
+export const TOP = 'top';
+/** Alineación vertical al medio */
+export const MIDDLE = 'middle';
+/** Alineación vertical inferior */
+export const BOTTOM = 'bottom';
+/** Alineación vertical en la línea base del texto */
+export const BASELINE = 'alphabetic';
+
+/**
+ * Obtiene el tamaño de fuente actual
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {number} Tamaño en píxeles
+ */
+function fontSize(cv) {
+    const m = /(\d+(?:\.\d+)?)px/.exec(getContext(cv).font);
+    return m ? parseFloat(m[1]) : 10;
+}
+
+/**
+ * Obtiene el interlineado actual
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {number} Distancia entre líneas en píxeles
+ */
+function lineHeight(cv) {
+    return getState(cv).leading ?? fontSize(cv) * 1.2;
+}
+
+/**
+ * Carga una fuente web para usarla con textFont()
+ * @param {string} name - Nombre de la familia tipográfica
+ * @param {string} url - URL del archivo de la fuente
+ * @param {Object} [descriptors] - Descriptores de FontFace ({weight, style, ...})
+ * @returns {Promise<FontFace>} La fuente cargada
+ * @example
+ * const font = await loadFont('Inter', './Inter.woff2');
+ * textFont(font, canvas);
+ */
+export async function loadFont(name, url, descriptors) {
+    const font = new FontFace(name, `url(${url})`, descriptors);
+    await font.load();
+    (globalThis.document?.fonts ?? globalThis.fonts).add(font);
+    return font;
+}
+
+/**
+ * Establece el tamaño del texto
+ * @param {number} s - Tamaño en píxeles
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function textSize(s, cv) {
+    getContext(cv).font = getContext(cv).font.replace(/\d+(?:\.\d+)?px/, s + 'px');
+}
+
+/**
+ * Establece la familia tipográfica
+ * @param {string|FontFace} f - Nombre de la familia (o lista CSS) o FontFace cargada con loadFont()
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function textFont(f, cv) {
+    const family = typeof f === 'string' ? f : `"${f.family}"`;
+    const m = /^(.*?\d+(?:\.\d+)?px(?:\s*\/\s*\S+)?)\s/.exec(getContext(cv).font);
+    getContext(cv).font = (m ? m[1] : fontSize(cv) + 'px') + ' ' + family;
+}
+
+/**
+ * Establece el estilo del texto
+ * @param {string} style - 'normal', 'bold', 'italic' o 'italic bold'
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function textStyle(style, cv) {
+    const m = /(\d+(?:\.\d+)?px.*)$/.exec(getContext(cv).font);
+    getContext(cv).font = (style === 'normal' ? '' : style + ' ') + (m ? m[1] : '10px sans-serif');
+}
+
+/**
+ * Establece la alineación horizontal del texto
+ * @param {string} a - LEFT, CENTER o RIGHT
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function textAlign(a, cv) {
+    getContext(cv).textAlign = a;
+}
+
+/**
+ * Establece la alineación vertical del texto
+ * @param {string} b - TOP, MIDDLE, BOTTOM o BASELINE
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function textBaseline(b, cv) {
+    getContext(cv).textBaseline = b;
+}
+
+/**
+ * Establece el interlineado del texto de varias líneas
+ * @param {number} [l] - Distancia entre líneas en píxeles. Sin valor vuelve a 1.2 × tamaño
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function textLeading(l, cv) {
+    getState(cv).leading = l;
+}
+
+/**
+ * Dibuja texto en el canvas. Los saltos de línea (\n) generan varias líneas
+ * @param {string} str - Texto
+ * @param {number} x - Posición X
+ * @param {number} y - Posición Y de la primera línea
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function text(str, x, y, cv) {
+    const lh = lineHeight(cv);
+    String(str).split('\n').forEach((line, i) => {
+        getContext(cv).fillText(line, x, y + i * lh);
+        getContext(cv).strokeText(line, x, y + i * lh);
+    });
+}
+
+/**
+ * Obtiene el ancho del texto con la fuente actual (el de la línea más larga)
+ * @param {string} str - Texto
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {number} Ancho en píxeles
+ */
+export function textWidth(str, cv) {
+    return Math.max(...String(str).split('\n').map((line) => getContext(cv).measureText(line).width));
+}
+
+/**
+ * Obtiene el rectángulo que ocupa el texto al dibujarlo con text()
+ * @param {string} str - Texto
+ * @param {number} x - Posición X
+ * @param {number} y - Posición Y
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {{x: number, y: number, w: number, h: number}} Rectángulo
+ */
+export function textBounds(str, x, y, cv) {
+    const lh = lineHeight(cv);
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    String(str).split('\n').forEach((line, i) => {
+        const m = getContext(cv).measureText(line);
+        left = Math.min(left, x - m.actualBoundingBoxLeft);
+        right = Math.max(right, x + m.actualBoundingBoxRight);
+        top = Math.min(top, y + i * lh - m.actualBoundingBoxAscent);
+        bottom = Math.max(bottom, y + i * lh + m.actualBoundingBoxDescent);
+    });
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+/**
+ * Divide el texto en líneas que no superen un ancho. Respeta los saltos de
+ * línea y corta las palabras más largas que el ancho
+ * @param {string} str - Texto
+ * @param {number} w - Ancho máximo en píxeles
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {string[]} Líneas
+ */
+export function wrapText(str, w, cv) {
+    const measure = (s) => getContext(cv).measureText(s).width;
+    const lines = [];
+    String(str).split('\n').forEach((paragraph) => {
+        let line = '';
+        paragraph.split(' ').forEach((word) => {
+            const candidate = line ? line + ' ' + word : word;
+            if (measure(candidate) <= w) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            // Palabra más larga que el ancho: se corta por caracteres
+            line = '';
+            for (const ch of word) {
+                if (line && measure(line + ch) > w) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += ch;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Dibuja texto ajustado dentro de una caja. La alineación horizontal (textAlign)
+ * y vertical (textBaseline: MIDDLE o BOTTOM, cualquier otra alinea arriba) se
+ * aplican respecto a la caja. Las líneas que no entran en el alto de la caja no
+ * se dibujan
+ * @param {string} str - Texto
+ * @param {number} x - Posición X de la caja
+ * @param {number} y - Posición Y de la caja
+ * @param {number} w - Ancho de la caja
+ * @param {number} [h=Infinity] - Alto de la caja
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function textBox(str, x, y, w, h = Infinity, cv) {
+    const ctx = getContext(cv);
+    const lh = lineHeight(cv);
+    const lines = wrapText(str, w, cv).slice(0, Math.max(1, Math.floor(h / lh)));
+    const total = lines.length * lh;
+    const align = ctx.textAlign;
+    const baseline = ctx.textBaseline;
+    const tx = align === CENTER ? x + w / 2 : align === RIGHT || align === 'end' ? x + w : x;
+    let ty = y;
+    if (h !== Infinity && baseline === MIDDLE) ty = y + (h - total) / 2;
+    if (h !== Infinity && baseline === BOTTOM) ty = y + h - total;
+    ctx.save();
+    ctx.textBaseline = TOP;
+    // Centra cada línea dentro de su interlineado
+    const offset = (lh - fontSize(cv)) / 2;
+    lines.forEach((line, i) => {
+        ctx.fillText(line, tx, ty + offset + i * lh);
+        ctx.strokeText(line, tx, ty + offset + i * lh);
+    });
+    ctx.restore();
+}
+
 /**
  * Establece la sombra para los elementos del canvas
  * @param {number} [x=0] - Desplazamiento X de la sombra
  * @param {number} [y=0] - Desplazamiento Y de la sombra
  * @param {number} [b=10] - Desenfoque de la sombra
- * @param {string} [c='rgba(0,0,0,0.5)'] - Color de la sombra
+ * @param {string|Object} [c='rgba(0,0,0,0.5)'] - Color de la sombra
  * @param {HTMLCanvasElement} cv - Elemento canvas
  */
 export function shadow(x = 0, y = 0, b = 10, c = 'rgba(0,0,0,0.5)', cv) {
-    getContext(cv).shadowColor = c;
+    getContext(cv).shadowColor = toStyle(c);
     getContext(cv).shadowOffsetX = x * cv.resolution;
     getContext(cv).shadowOffsetY = y * cv.resolution;
     getContext(cv).shadowBlur = b * cv.resolution;
@@ -177,6 +801,252 @@ export function noShadow(cv) {
     getContext(cv).shadowBlur = 0;
 }
 
+/** Modo de mezcla normal (por defecto) */
+export const BLEND = 'source-over';
+/** Suma los colores */
+export const ADD = 'lighter';
+/** Multiplica los colores (oscurece) */
+export const MULTIPLY = 'multiply';
+/** Inverso de multiplicar (aclara) */
+export const SCREEN = 'screen';
+/** Multiplica las zonas oscuras y aclara las claras */
+export const OVERLAY = 'overlay';
+/** Conserva el color más oscuro */
+export const DARKEST = 'darken';
+/** Conserva el color más claro */
+export const LIGHTEST = 'lighten';
+/** Diferencia absoluta entre los colores */
+export const DIFFERENCE = 'difference';
+/** Como DIFFERENCE pero con menos contraste */
+export const EXCLUSION = 'exclusion';
+/** OVERLAY con las capas invertidas */
+export const HARD_LIGHT = 'hard-light';
+/** Versión suave de HARD_LIGHT */
+export const SOFT_LIGHT = 'soft-light';
+/** Aclara el fondo según el color */
+export const DODGE = 'color-dodge';
+/** Oscurece el fondo según el color */
+export const BURN = 'color-burn';
+/** Borra lo que ya está dibujado donde se dibuja */
+export const REMOVE = 'destination-out';
+
+/**
+ * Establece el modo de mezcla de lo que se dibuja (globalCompositeOperation)
+ * Se guarda y restaura con push/pop
+ * @param {string} mode - BLEND, ADD, MULTIPLY, SCREEN, OVERLAY, DARKEST, LIGHTEST, DIFFERENCE,
+ *   EXCLUSION, HARD_LIGHT, SOFT_LIGHT, DODGE, BURN, REMOVE o cualquier valor de globalCompositeOperation
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function blendMode(mode, cv) {
+    getState(cv).blend = mode;
+    if (!getState(cv).erasing) {
+        getContext(cv).globalCompositeOperation = mode;
+    }
+}
+
+/**
+ * Establece la opacidad de todo lo que se dibuja
+ * Se guarda y restaura con push/pop
+ * @param {number} a - Opacidad (0-1)
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function alpha(a, cv) {
+    getContext(cv).globalAlpha = a;
+}
+
+/**
+ * Activa el modo borrador: lo que se dibuja borra lo que ya está en el canvas.
+ * La opacidad del relleno o trazo indica cuánto se borra
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function erase(cv) {
+    getState(cv).erasing = true;
+    getContext(cv).globalCompositeOperation = REMOVE;
+}
+
+/**
+ * Desactiva el modo borrador y vuelve al modo de mezcla anterior
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function noErase(cv) {
+    getState(cv).erasing = false;
+    getContext(cv).globalCompositeOperation = getState(cv).blend ?? BLEND;
+}
+
+/**
+ * Agrega a un contorno los puntos de una curva de Bézier
+ * @param {Array<{x: number, y: number}>} points - Contorno. El último punto es el inicio de la curva
+ * @param {Array<{x: number, y: number}>} controls - Puntos de control y punto final
+ */
+function flattenBezier(points, controls) {
+    const p = [points[points.length - 1], ...controls];
+    let length = 0;
+    for (let i = 1; i < p.length; i++) length += Math.hypot(p[i].x - p[i - 1].x, p[i].y - p[i - 1].y);
+    // Los puntos ya están en píxeles del canvas: la cantidad crece con el tamaño de la curva
+    const n = Math.max(4, Math.ceil(Math.sqrt(length)));
+    for (let i = 1; i <= n; i++) {
+        const t = i / n;
+        let q = p;
+        while (q.length > 1) {
+            q = q.slice(1).map((b, j) => ({ x: q[j].x + (b.x - q[j].x) * t, y: q[j].y + (b.y - q[j].y) * t }));
+        }
+        points.push(q[0]);
+    }
+}
+
+/**
+ * Recorta el dibujo a la forma que genera una función
+ *
+ * Las formas dibujadas dentro de `mask` no se pintan: se suman a la máscara.
+ * La máscara es la unión de las formas rellenas, sin importar el sentido en que
+ * se trazó cada una (cada forma respeta su propia regla de relleno). Los bordes
+ * curvos se aproximan con segmentos de menos de un cuarto de píxel de error.
+ * Los trazos, el texto y las imágenes no forman parte de la máscara y tampoco se
+ * dibujan. El recorte se mantiene hasta el siguiente pop(), por lo que conviene
+ * usarlo entre push() y pop().
+ *
+ * @param {Function} mask - Función que dibuja la máscara con las funciones de forma
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @example
+ * push(canvas);
+ * clip(() => {
+ *     circle(100, 100, 50, canvas);
+ *     rect(200, 50, 100, 100, canvas);
+ * }, canvas);
+ * image(img, 0, 0, canvas);
+ * pop(canvas);
+ */
+export function clip(mask, cv) {
+    const ctx = getContext(cv);
+    const previous = cv._context;
+    // Cada forma se graba como polígonos en píxeles del canvas y al rellenarla se agrega
+    // al trazado con los contornos exteriores en sentido horario, para que la regla
+    // nonzero del recorte dé la unión de las formas
+    let contours = [];
+    let current = null;
+
+    function toCanvas(x, y) {
+        const m = ctx.getTransform();
+        return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f };
+    }
+    function startContour(p) {
+        current = [p];
+        contours.push(current);
+    }
+    function fillShape(rule = 'nonzero') {
+        const polygons = contours.filter((poly) => poly.length > 2);
+        contours = [];
+        current = null;
+        const areas = polygons.map((poly) => polygonArea(poly, true));
+        const total = areas.reduce((sum, area) => sum + area, 0);
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        polygons.forEach((poly, i) => {
+            let reverse = total < 0;
+            if (rule === 'evenodd') {
+                // Con par-impar, los contornos dentro de una cantidad impar de contornos son huecos
+                const depth = polygons.filter((other, j) => j !== i && pointInPolygon(poly[0], other)).length;
+                reverse = depth % 2 === 0 ? areas[i] < 0 : areas[i] > 0;
+            }
+            const points = reverse ? [...poly].reverse() : poly;
+            ctx.moveTo(points[0].x, points[0].y);
+            for (const p of points.slice(1)) ctx.lineTo(p.x, p.y);
+            ctx.closePath();
+        });
+        ctx.restore();
+    }
+
+    const handlers = {
+        beginPath() {
+            contours = [];
+            current = null;
+        },
+        moveTo(x, y) {
+            startContour(toCanvas(x, y));
+        },
+        lineTo(x, y) {
+            const p = toCanvas(x, y);
+            if (current) current.push(p);
+            else startContour(p);
+        },
+        bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+            const p = [toCanvas(c1x, c1y), toCanvas(c2x, c2y), toCanvas(x, y)];
+            if (!current) startContour(p[0]);
+            flattenBezier(current, p);
+        },
+        quadraticCurveTo(cx, cy, x, y) {
+            const p = [toCanvas(cx, cy), toCanvas(x, y)];
+            if (!current) startContour(p[0]);
+            flattenBezier(current, p);
+        },
+        arc(x, y, r, a0, a1, ccw) {
+            handlers.ellipse(x, y, r, r, 0, a0, a1, ccw);
+        },
+        ellipse(x, y, rx, ry, rot, a0, a1, ccw) {
+            const sweep = arcSweep(a0, a1, ccw);
+            const m = ctx.getTransform();
+            // Radio aproximado en píxeles: con error de un cuarto de píxel alcanza con √r puntos por radián
+            const r = Math.max(rx, ry) * Math.sqrt(Math.abs(m.a * m.d - m.b * m.c));
+            const n = Math.max(4, Math.ceil(Math.abs(sweep) * Math.sqrt(r)));
+            const cos = Math.cos(rot);
+            const sin = Math.sin(rot);
+            for (let i = 0; i <= n; i++) {
+                const a = a0 + (sweep * i) / n;
+                const px = rx * Math.cos(a);
+                const py = ry * Math.sin(a);
+                handlers.lineTo(x + px * cos - py * sin, y + px * sin + py * cos);
+            }
+        },
+        rect(x, y, w, h) {
+            handlers.moveTo(x, y);
+            handlers.lineTo(x + w, y);
+            handlers.lineTo(x + w, y + h);
+            handlers.lineTo(x, y + h);
+            handlers.closePath();
+        },
+        closePath() {
+            // El siguiente contorno comienza donde empezó el cerrado
+            if (current) startContour(current[0]);
+        },
+        fill(r) {
+            fillShape(typeof r === 'string' ? r : 'nonzero');
+        },
+        fillRect(x, y, w, h) {
+            handlers.beginPath();
+            handlers.rect(x, y, w, h);
+            fillShape();
+        },
+        stroke() {},
+        strokeRect() {},
+        fillText() {},
+        strokeText() {},
+        drawImage() {},
+        putImageData() {},
+    };
+    cv._context = new Proxy(ctx, {
+        get(target, prop) {
+            if (Object.hasOwn(handlers, prop)) return handlers[prop];
+            const v = target[prop];
+            return typeof v === 'function' ? v.bind(target) : v;
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        },
+    });
+    ctx.beginPath();
+    try {
+        mask();
+    } finally {
+        if (previous) {
+            cv._context = previous;
+        } else {
+            delete cv._context;
+        }
+    }
+    ctx.clip('nonzero');
+}
+
 /**
  * Obtiene los datos de imagen de una región del canvas
  * @param {number} x - Posición X inicial
@@ -190,44 +1060,343 @@ export function getImage(x, y, w, h, cv) {
     return getContext(cv).getImageData(x * cv.resolution, y * cv.resolution, w * cv.resolution, h * cv.resolution);
 }
 
+/** Dibuja las imágenes desde la esquina superior izquierda (por defecto) */
+export const CORNER = 'corner';
+
+/**
+ * Carga una imagen
+ * En un worker (sin HTMLImageElement) retorna un ImageBitmap. Con setCanvasFactory usa su cargador
+ * @param {string} url - URL de la imagen
+ * @returns {Promise<HTMLImageElement|ImageBitmap>} La imagen cargada
+ * @example
+ * const img = await loadImage('./textura.png');
+ * image(img, 0, 0, canvas);
+ */
+export function loadImage(url) {
+    const load = imageLoader();
+    if (load) {
+        return load(url);
+    }
+    if (typeof Image === 'undefined') {
+        return fetch(url)
+            .then((res) => res.blob())
+            .then((blob) => createImageBitmap(blob));
+    }
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        // Permite leer los píxeles de imágenes de otros dominios que lo autoricen
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`No se pudo cargar la imagen ${url}`));
+        img.src = url;
+    });
+}
+
+/**
+ * Carga un archivo JSON
+ * @param {string} url - URL del archivo
+ * @returns {Promise<*>} Contenido del archivo
+ */
+export async function loadJSON(url) {
+    const res = await fetch(url);
+    if (!res.ok) {
+        throw new Error(`No se pudo cargar ${url} (${res.status})`);
+    }
+    return res.json();
+}
+
+/**
+ * Carga un archivo de texto
+ * @param {string} url - URL del archivo
+ * @returns {Promise<string>} Contenido del archivo
+ */
+export async function loadText(url) {
+    const res = await fetch(url);
+    if (!res.ok) {
+        throw new Error(`No se pudo cargar ${url} (${res.status})`);
+    }
+    return res.text();
+}
+
+/**
+ * Establece cómo se interpreta la posición de image()
+ * @param {string} mode - CORNER (esquina superior izquierda) o CENTER (centro)
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function imageMode(mode, cv) {
+    getState(cv).imageMode = mode;
+}
+
+/**
+ * Tiñe las imágenes dibujadas con image(): multiplica sus colores por el color
+ * indicado y su opacidad por el alfa del color
+ * @param {string|Object} c - Color (cualquier valor aceptado por parseColor)
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function tint(c, cv) {
+    getState(cv).tint = parseColor(c);
+}
+
+/**
+ * Quita el teñido de las imágenes
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function noTint(cv) {
+    getState(cv).tint = null;
+}
+
+/**
+ * Copia una región de una imagen teñida con un color
+ * @param {CanvasImageSource} src - Imagen de origen
+ * @param {number} sx - X de la región
+ * @param {number} sy - Y de la región
+ * @param {number} sw - Ancho de la región
+ * @param {number} sh - Alto de la región
+ * @param {Object} c - Color {r, g, b}
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Región teñida
+ */
+function tintImage(src, sx, sy, sw, sh, c) {
+    const out = newCanvas(sw, sh);
+    const ctx = out.getContext('2d');
+    ctx.drawImage(src, sx, sy, sw, sh, 0, 0, sw, sh);
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = `rgb(${c.r}, ${c.g}, ${c.b})`;
+    ctx.fillRect(0, 0, sw, sh);
+    // multiply no conserva la transparencia: se recorta con la imagen original
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.drawImage(src, sx, sy, sw, sh, 0, 0, sw, sh);
+    return out;
+}
+
 /**
  * Dibuja una imagen en el canvas
- * @param {ImageData|HTMLImageElement} i - Imagen a dibujar
+ *
+ * Sin ancho y alto la imagen se dibuja a su tamaño en píxeles reales. Los
+ * ImageData sin tamaño ni teñido se copian directamente (ignoran la
+ * transformación actual, como getImage).
+ *
+ * @param {ImageData|HTMLImageElement|ImageBitmap|HTMLCanvasElement} i - Imagen a dibujar
  * @param {number} x - Posición X
  * @param {number} y - Posición Y
- * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @param {number} [w] - Ancho
+ * @param {number} [h] - Alto
+ * @param {number} [sx] - X de la región a recortar de la imagen (en píxeles de la imagen)
+ * @param {number} [sy] - Y de la región a recortar
+ * @param {number} [sw] - Ancho de la región a recortar
+ * @param {number} [sh] - Alto de la región a recortar
+ * @param {HTMLCanvasElement} cv - Elemento canvas (siempre el último argumento)
+ * @example
+ * image(img, 10, 10, canvas);
+ * image(img, 10, 10, 200, 100, canvas);
+ * image(sprites, 10, 10, 32, 32, 64, 0, 32, 32, canvas); // Recorte
  */
-export function image(i, x, y, cv) {
+export function image(i, ...args) {
+    const cv = args.pop();
+    const state = getState(cv);
+    const [x0, y0, w0, h0, sx = 0, sy = 0, sw = i.width, sh = i.height] = args;
+    const w = w0 ?? sw / cv.resolution;
+    const h = h0 ?? sh / cv.resolution;
+    const x = state.imageMode === CENTER ? x0 - w / 2 : x0;
+    const y = state.imageMode === CENTER ? y0 - h / 2 : y0;
+    let src = i;
     if (i.constructor.name === 'ImageData') {
-        getContext(cv).putImageData(i, x * cv.resolution, y * cv.resolution);
-    } else {
-        getContext(cv).drawImage(i, x, y,i.width/cv.resolution,i.height/cv.resolution);
+        if (args.length <= 2 && !state.tint) {
+            getContext(cv).putImageData(i, x * cv.resolution, y * cv.resolution);
+            return;
+        }
+        src = newCanvas(i.width, i.height);
+        src.getContext('2d').putImageData(i, 0, 0);
+    }
+    if (!state.tint) {
+        getContext(cv).drawImage(src, sx, sy, sw, sh, x, y, w, h);
+        return;
     }
+    getContext(cv).save();
+    getContext(cv).globalAlpha *= state.tint.a;
+    getContext(cv).drawImage(tintImage(src, sx, sy, sw, sh, state.tint), 0, 0, sw, sh, x, y, w, h);
+    getContext(cv).restore();
 }
 
+/** Buffer de píxeles cargado con loadPixels, por canvas */
+const pixelBuffers = new WeakMap();
+
 /**
- * Guarda el canvas como archivo JPG
+ * Buffer de loadPixels() de un canvas, si existe y tiene el tamaño actual del canvas
  * @param {HTMLCanvasElement} cv - Elemento canvas
- * @param {number} [q=0.75] - Calidad de la imagen (0-1)
+ * @returns {ImageData|undefined} Buffer de píxeles
+ */
+function currentBuffer(cv) {
+    const data = pixelBuffers.get(cv);
+    return data && data.width === cv.width && data.height === cv.height ? data : undefined;
+}
+
+/**
+ * Obtiene el buffer de píxeles de un canvas, cargándolo si no existe o es de otro tamaño
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {ImageData} Buffer de píxeles
  */
-export function saveJPG(cv, q = 0.75) {
+function pixelBuffer(cv) {
+    return currentBuffer(cv) ?? (loadPixels(cv), pixelBuffers.get(cv));
+}
+
+/**
+ * Carga los píxeles del canvas en un buffer para leerlos o modificarlos
+ *
+ * El buffer tiene los píxeles reales del canvas (ancho * resolución por alto *
+ * resolución), con 4 valores por píxel (r, g, b, a de 0 a 255). Los cambios se
+ * ven en el canvas al llamar a updatePixels().
+ *
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {Uint8ClampedArray} Píxeles del canvas
+ * @example
+ * const pixels = loadPixels(canvas);
+ * pixels[0] = 255; // Rojo del primer píxel
+ * updatePixels(canvas);
+ */
+export function loadPixels(cv) {
+    const data = getContext(cv).getImageData(0, 0, cv.width, cv.height);
+    pixelBuffers.set(cv, data);
+    return data.data;
+}
+
+/**
+ * Copia al canvas el buffer de píxeles cargado con loadPixels()
+ * El buffer se descarta: lo que se dibuje después no estaría en él, por lo que
+ * setPixel() vuelve a cargar los píxeles del canvas
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function updatePixels(cv) {
+    const data = currentBuffer(cv);
+    if (data) {
+        getContext(cv).putImageData(data, 0, 0);
+    }
+    pixelBuffers.delete(cv);
+}
+
+/**
+ * Obtiene el color de un píxel
+ * Lee del buffer de loadPixels() si existe, si no directamente del canvas.
+ * Tras dibujar sin updatePixels(), llamar de nuevo a loadPixels() para leer lo dibujado
+ * @param {number} x - Posición X
+ * @param {number} y - Posición Y
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {Object} Color {r, g, b, a} (ver ascanvas2d.color.js)
+ */
+export function getPixel(x, y, cv) {
+    const px = Math.floor(x * cv.resolution);
+    const py = Math.floor(y * cv.resolution);
+    const buffer = currentBuffer(cv);
+    if (buffer) {
+        const i = (py * buffer.width + px) * 4;
+        const d = buffer.data;
+        return rgb(d[i], d[i + 1], d[i + 2], d[i + 3] / 255);
+    }
+    const d = getContext(cv).getImageData(px, py, 1, 1).data;
+    return rgb(d[0], d[1], d[2], d[3] / 255);
+}
+
+/**
+ * Cambia el color de un píxel en el buffer de píxeles
+ * Con resolución mayor a 1 se pinta el bloque de píxeles reales que ocupa.
+ * Los cambios se ven en el canvas al llamar a updatePixels(). Si no hay buffer (o
+ * updatePixels() ya lo copió) se cargan los píxeles actuales del canvas
+ * @param {number} x - Posición X
+ * @param {number} y - Posición Y
+ * @param {string|Object|number[]} c - Color (cualquier valor aceptado por parseColor)
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function setPixel(x, y, c, cv) {
+    const buffer = pixelBuffer(cv);
+    const { r, g, b, a } = parseColor(c);
+    const res = cv.resolution;
+    const x0 = Math.floor(x * res);
+    const y0 = Math.floor(y * res);
+    const x1 = Math.min(Math.floor((x + 1) * res), buffer.width);
+    const y1 = Math.min(Math.floor((y + 1) * res), buffer.height);
+    const d = buffer.data;
+    for (let py = Math.max(y0, 0); py < y1; py++) {
+        for (let px = Math.max(x0, 0); px < x1; px++) {
+            const i = (py * buffer.width + px) * 4;
+            d[i] = r;
+            d[i + 1] = g;
+            d[i + 2] = b;
+            d[i + 3] = a * 255;
+        }
+    }
+}
+
+/**
+ * Aplica una función a cada píxel del canvas y actualiza el canvas
+ *
+ * La función recibe la posición en unidades de dibujo (con resolución mayor a
+ * 1 se llama una vez por cada píxel real) y los canales de 0 a 255. Puede
+ * retornar [r, g, b] o [r, g, b, a]; si no retorna nada el píxel no cambia.
+ *
+ * @param {Function} fn - Función (x, y, r, g, b, a) => [r, g, b, a?] | undefined
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @example
+ * // Invierte los colores
+ * mapPixels((x, y, r, g, b) => [255 - r, 255 - g, 255 - b], canvas);
+ */
+export function mapPixels(fn, cv) {
+    const d = loadPixels(cv);
+    const res = cv.resolution;
+    const w = cv.width;
+    const h = cv.height;
+    for (let py = 0, i = 0; py < h; py++) {
+        const y = py / res;
+        for (let px = 0; px < w; px++, i += 4) {
+            const out = fn(px / res, y, d[i], d[i + 1], d[i + 2], d[i + 3]);
+            if (out) {
+                d[i] = out[0];
+                d[i + 1] = out[1];
+                d[i + 2] = out[2];
+                d[i + 3] = out[3] ?? d[i + 3];
+            }
+        }
+    }
+    updatePixels(cv);
+}
+
+/**
+ * Descarga un archivo a partir de una URL o un Blob. Necesita un documento: en un
+ * worker o en Node lanza un error y los datos se deben guardar por otro medio
+ * @param {string|Blob} data - URL (por ejemplo un data URL) o Blob a descargar
+ * @param {string} filename - Nombre del archivo
+ */
+export function saveFile(data, filename) {
+    if (typeof document === 'undefined') {
+        throw new Error(`No hay documento para descargar ${filename}: guardar los datos por otro medio`);
+    }
+    const url = typeof data === 'string' ? data : URL.createObjectURL(data);
     let a = document.createElement('a');
-    a.href = cv.toDataURL('image/jpeg', q);
-    a.download = 'file.jpeg';
+    a.href = url;
+    a.download = filename;
     a.click();
     a.remove();
+    if (url !== data) {
+        // Se libera la URL cuando la descarga ya comenzó
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/**
+ * Guarda el canvas como archivo JPG
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @param {number} [q=0.75] - Calidad de la imagen (0-1)
+ * @param {string} [filename='file.jpeg'] - Nombre del archivo
+ */
+export function saveJPG(cv, q = 0.75, filename = 'file.jpeg') {
+    saveFile(cv.toDataURL('image/jpeg', q), filename);
 }
 
 /**
  * Guarda el canvas como archivo PNG
  * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @param {string} [filename='file.png'] - Nombre del archivo
  */
-export function savePNG(cv) {
-    let a = document.createElement('a');
-    a.href = cv.toDataURL('image/png');
-    a.download = 'file.png';
-    a.click();
-    a.remove();
+export function savePNG(cv, filename = 'file.png') {
+    saveFile(cv.toDataURL('image/png'), filename);
 }
 
 /**
@@ -292,6 +1461,10 @@ export function rotate(a, cv) {
  */
 export function push(cv) {
     getContext(cv).save();
+    const current = getState(cv);
+    const state = states.get(cv);
+    state.stack.push(current);
+    state.current = { ...current };
 }
 
 /**
@@ -300,6 +1473,10 @@ export function push(cv) {
  */
 export function pop(cv) {
     getContext(cv).restore();
+    const state = states.get(cv);
+    if (state?.stack.length) {
+        state.current = state.stack.pop();
+    }
 }
 
 /**
@@ -312,6 +1489,49 @@ export function scale(x, y, cv) {
     getContext(cv).scale(x, y);
 }
 
+/**
+ * Convierte un punto del canvas (por ejemplo mouse.x, mouse.y) a las coordenadas de la
+ * transformación actual (translate, rotate, scale). Sirve para saber qué punto del dibujo
+ * está bajo el mouse después de transformar
+ * @param {number} x - Posición X en unidades del canvas
+ * @param {number} y - Posición Y en unidades del canvas
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {{x: number, y: number}} Posición en coordenadas transformadas
+ * @example
+ * translate(200, 100, canvas);
+ * scale(2, 2, canvas);
+ * const p = screenToWorld(mouse.x, mouse.y, canvas);
+ */
+export function screenToWorld(x, y, cv) {
+    const { a, b, c, d, e, f } = getContext(cv).getTransform();
+    // La matriz incluye la escala de resolución
+    const r = cv.resolution ?? 1;
+    const px = x * r - e;
+    const py = y * r - f;
+    const det = a * d - b * c;
+    return {
+        x: (d * px - c * py) / det,
+        y: (a * py - b * px) / det,
+    };
+}
+
+/**
+ * Convierte un punto en coordenadas de la transformación actual a unidades del canvas
+ * (inversa de screenToWorld)
+ * @param {number} x - Posición X en coordenadas transformadas
+ * @param {number} y - Posición Y en coordenadas transformadas
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {{x: number, y: number}} Posición en unidades del canvas
+ */
+export function worldToScreen(x, y, cv) {
+    const { a, b, c, d, e, f } = getContext(cv).getTransform();
+    const r = cv.resolution ?? 1;
+    return {
+        x: (a * x + c * y + e) / r,
+        y: (b * x + d * y + f) / r,
+    };
+}
+
 /**
  * Establece la resolución del canvas
  * @param {number} pixelDensity - Densidad de píxeles
@@ -319,13 +1539,11 @@ export function scale(x, y, cv) {
  */
 export function setCanvasResolution(pixelDensity, cv) {
     if(cv._isMainCanvas){
-        const width = cv.width;
-        const height = cv.height;
-        cv.width = width * pixelDensity;
-        cv.height = height * pixelDensity;
-        cv.style = `width:${width}px;height:${height}px;`;
+        // Se conserva el tamaño en unidades de dibujo, no el tamaño en píxeles
+        const w = width(cv);
+        const h = height(cv);
         cv.resolution = pixelDensity;
-        getContext(cv).scale(pixelDensity, pixelDensity);
+        size(w, h, cv);
     }else{
         console.warn('Can not set resolution in offscreen canvas')
     }
@@ -356,7 +1574,7 @@ export function linearGradient(
     };
     const grad = getContext(cv).createLinearGradient(x1, y1, x2, y2);
     Object.entries(steps).forEach((kv) => {
-        grad.addColorStop(kv[0], kv[1]);
+        grad.addColorStop(Number(kv[0]), toStyle(kv[1]));
     });
     return grad;
 }
@@ -390,7 +1608,7 @@ export function radialGradient(
     };
     const grad = getContext(cv).createRadialGradient(x1, y1, r1, x2, y2, r2);
     Object.entries(steps).forEach((kv) => {
-        grad.addColorStop(kv[0], kv[1]);
+        grad.addColorStop(Number(kv[0]), toStyle(kv[1]));
     });
     return grad;
 }
@@ -418,25 +1636,41 @@ export function colorBW(c = 255, a = 1.0) {
 }
 
 /**
- * Crea un color HSB/HSL
+ * Crea un color HSL
  * @param {number} [h=0] - Tono (0-360)
  * @param {number} [s=100] - Saturación (0-100)
  * @param {number} [l=50] - Luminosidad (0-100)
  * @param {number} [a=1.0] - Canal alfa (0-1)
  * @returns {string} Color en formato hsla()
  */
-export function colorHSB(h = 0, s = 100, l = 50, a = 1.0) {
+export function colorHSL(h = 0, s = 100, l = 50, a = 1.0) {
     const _s = s + '%';
     const _l = l + '%';
     return 'hsla(' + h + ',' + _s + ',' + _l + ',' + a + ')';
 }
 
+/**
+ * Crea un color HSB (tono, saturación y brillo, también llamado HSV)
+ * @param {number} [h=0] - Tono (0-360)
+ * @param {number} [s=100] - Saturación (0-100)
+ * @param {number} [b=100] - Brillo (0-100)
+ * @param {number} [a=1.0] - Canal alfa (0-1)
+ * @returns {string} Color en formato hsla()
+ */
+export function colorHSB(h = 0, s = 100, b = 100, a = 1.0) {
+    // HSB -> HSL
+    const l = b * (1 - s / 200);
+    const sl = l === 0 || l === 100 ? 0 : ((b - l) / Math.min(l, 100 - l)) * 100;
+    return colorHSL(h, sl, l, a);
+}
+
 /**
  * Crea un color en diferentes formatos
  * @param {...*} c - Argumentos del color:
  *   - ['RGB', r, g, b, a] para color RGB
  *   - ['BW', valor, alpha] para escala de grises
  *   - ['HSLA', h, s, l, a] para color HSL
+ *   - ['HSB', h, s, b, a] para color HSB
  * @returns {string} Color en formato CSS
  */
 export function color(...c) {
@@ -457,7 +1691,14 @@ export function color(...c) {
         const s = c[2] ?? 100;
         const l = c[3] ?? 50;
         const a = c[4] ?? 1.0;
-        return colorHSB(h, s, l, a)
+        return colorHSL(h, s, l, a)
+    }
+    if (c[0] === 'HSB') {
+        const h = c[1] ?? 0;
+        const s = c[2] ?? 100;
+        const b = c[3] ?? 100;
+        const a = c[4] ?? 1.0;
+        return colorHSB(h, s, b, a);
     }
 }
 
@@ -467,7 +1708,7 @@ export function color(...c) {
  * @returns {number} Ancho ajustado
  */
 export function width(cv) {
-    return cv.width / cv.resolution;
+    return cv.width / (cv.resolution ?? 1);
 }
 
 /**
@@ -476,21 +1717,20 @@ export function width(cv) {
  * @returns {number} Alto ajustado
  */
 export function height(cv) {
-    return cv.height / cv.resolution;
+    return cv.height / (cv.resolution ?? 1);
 }
 
 /**
  * Crea un canvas fuera de pantalla
  * @param {number} w - Ancho del canvas
  * @param {number} h - Alto del canvas
- * @param {HTMLCanvasElement} cv - Canvas de referencia para la resolución
+ * @param {HTMLCanvasElement} [cv] - Canvas de referencia para la resolución (sin canvas, resolución 1)
  * @returns {HTMLCanvasElement} Nuevo canvas fuera de pantalla
  */
 export function createOffCanvas(w, h, cv) {
-    const canvas = document.createElement('canvas');
-    canvas.resolution = cv.resolution;
-    canvas.width = w * cv.resolution;
-    canvas.height = h * cv.resolution;
-    getContext(canvas).scale(cv.resolution, cv.resolution);
+    const resolution = cv?.resolution ?? 1;
+    const canvas = newCanvas(w * resolution, h * resolution);
+    canvas.resolution = resolution;
+    getContext(canvas).scale(resolution, resolution);
     return canvas;
 }
\ No newline at end of file
@@ -0,0 +1,327 @@
+import { saveFile } from './ascanvas2d.func.js';
+import { resolveElement } from './ascanvas2d.env.js';
+
+/** Colores que acepta <input type="color"> */
+const COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Crea un elemento del documento con propiedades y estilos
+ * @param {string} tag - Nombre de la etiqueta
+ * @param {Object} [props] - Propiedades del elemento
+ * @param {string} [style] - Estilos CSS en línea
+ * @returns {HTMLElement} El elemento creado
+ */
+function el(tag, props = {}, style = '') {
+    const e = Object.assign(document.createElement(tag), props);
+    e.style.cssText = style;
+    return e;
+}
+
+/**
+ * Expande un color #rgb a #rrggbb, el único formato de <input type="color">
+ * @param {string} c - Color hexadecimal
+ * @returns {string} Color de 6 dígitos
+ */
+function fullHex(c) {
+    return c.length === 4 ? '#' + [...c.slice(1)].map((d) => d + d).join('') : c;
+}
+
+/**
+ * Genera una semilla nueva para el botón de resembrado
+ * @returns {string} Semilla de 6 caracteres
+ */
+function newSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Interpreta una entrada del esquema
+ * @param {string} name - Nombre del parámetro
+ * @param {*} spec - Entrada del esquema
+ * @returns {Object} {type, value, parse} donde parse convierte un valor guardado
+ *   (JSON o texto del hash) en un valor válido, o undefined si no lo es
+ */
+function describe(name, spec) {
+    if (Array.isArray(spec) && spec.length >= 2 && spec.every((v) => typeof v === 'number')) {
+        const [min, max, step = (max - min) / 100, value = min] = spec;
+        return {
+            type: 'slider',
+            min,
+            max,
+            step,
+            value,
+            parse: (v) => {
+                if (!Number.isFinite(Number(v))) return undefined;
+                // Se ajusta a la grilla del control, como hace <input type="range">. toFixed quita
+                // el error de punto flotante (3.1000000000000005)
+                const snapped = step > 0 ? Number((min + Math.round((Number(v) - min) / step) * step).toFixed(10)) : Number(v);
+                return Math.min(Math.max(snapped, min), max);
+            },
+        };
+    }
+    if (Array.isArray(spec) && spec.length) {
+        return {
+            type: 'select',
+            options: spec,
+            value: spec[0],
+            parse: (v) => spec.find((o) => String(o) === String(v)),
+        };
+    }
+    if (typeof spec === 'boolean') {
+        return { type: 'toggle', value: spec, parse: (v) => v === true || v === 'true' || v === '1' };
+    }
+    if (typeof spec === 'number') {
+        return { type: 'number', value: spec, parse: (v) => (Number.isFinite(Number(v)) ? Number(v) : undefined) };
+    }
+    if (typeof spec === 'string' && COLOR.test(spec)) {
+        return { type: 'color', value: spec, parse: (v) => (COLOR.test(v) ? v : undefined) };
+    }
+    if (typeof spec === 'string') {
+        return { type: 'seed', value: spec, parse: (v) => String(v) };
+    }
+    throw new Error(`Parámetro ${name} no reconocido`);
+}
+
+/**
+ * Crea un panel de parámetros a partir de un esquema
+ *
+ * Cada entrada del esquema define un control según su valor:
+ *   - [min, max, step?, value?]: deslizador (por defecto step = (max - min) / 100 y value = min)
+ *     Los valores que llegan con set(), load() o el hash se ajustan a step
+ *   - ['a', 'b', ...]: lista de opciones (la primera es el valor inicial)
+ *   - true / false: casilla
+ *   - '#ff0000' o '#f00': selector de color
+ *   - otro texto: semilla, con un botón que genera una nueva
+ *   - número: campo numérico
+ *
+ * Sin documento (Node o un worker) no se muestra el panel, pero los valores se pueden
+ * leer, cambiar con set() y restaurar con load().
+ *
+ * @param {Object} schema - Esquema {nombre: entrada}
+ * @param {Object} [options]
+ * @param {string|HTMLElement} [options.parent=document.body] - Contenedor del panel (selector o elemento)
+ * @param {string} [options.title='Parámetros'] - Título del panel. Al hacer clic se pliega
+ * @param {boolean} [options.hash=false] - Restaura los valores desde la URL (#speed=2&seed=abc) y la actualiza
+ *   cuando dejan de cambiar, para compartir una variación con un enlace
+ * @param {Function} [options.onChange] - Se llama con (name, value, values) en cada cambio
+ * @returns {Object} Panel:
+ *   - values: objeto con el valor actual de cada parámetro. Se modifica en el lugar
+ *   - panel: el elemento del panel (null sin documento)
+ *   - set(name, value): cambia un valor y actualiza el control
+ *   - reseed(name): genera una semilla nueva (por defecto en todos los parámetros de semilla)
+ *   - subscribe(fn): agrega una función que se llama con (name, value, values). Retorna la función que la quita
+ *   - toJSON(): copia de los valores (JSON.stringify(panel) funciona directamente)
+ *   - load(data): restaura valores desde un objeto o un texto JSON. Se ignoran los desconocidos o inválidos
+ *   - toHash(): los valores como texto para la URL
+ *   - loadHash(hash): restaura valores desde un texto de hash (por defecto location.hash)
+ *   - dispose(): quita el panel del documento
+ * @example
+ * const gui = createParams({
+ *     speed: [0, 10, 0.1, 2],
+ *     palette: ['fuego', 'mar'],
+ *     color: '#ff0066',
+ *     seed: 'abc',
+ *     showGrid: true,
+ * }, { hash: true });
+ * const random = createRandom(gui.values.seed);
+ */
+export function createParams(schema, { parent, title = 'Parámetros', hash = false, onChange } = {}) {
+    const specs = {};
+    const values = {};
+    for (const [name, spec] of Object.entries(schema)) {
+        specs[name] = describe(name, spec);
+        values[name] = specs[name].value;
+    }
+    const listeners = onChange ? [onChange] : [];
+    // Actualiza cada control con el valor actual
+    const views = {};
+    const hasDocument = typeof document !== 'undefined';
+
+    /**
+     * Aplica un valor ya validado y avisa a los interesados
+     * @param {string} name - Nombre del parámetro
+     * @param {*} value - Nuevo valor
+     */
+    function apply(name, value) {
+        if (value === undefined || values[name] === value) return;
+        values[name] = value;
+        views[name]?.();
+        for (const fn of listeners) fn(name, value, values);
+        if (hash && hasDocument) writeHash();
+    }
+
+    let hashTimer = null;
+    /**
+     * Escribe los valores en la URL cuando dejan de cambiar. Un arrastre genera muchos
+     * cambios por segundo y algunos navegadores limitan las llamadas a replaceState
+     */
+    function writeHash() {
+        clearTimeout(hashTimer);
+        hashTimer = setTimeout(() => {
+            hashTimer = null;
+            history.replaceState(null, '', '#' + toHash());
+        }, 250);
+    }
+
+    /**
+     * Cambia el valor de un parámetro
+     * @param {string} name - Nombre del parámetro
+     * @param {*} value - Nuevo valor. Se ignora si no es válido para el control
+     */
+    function set(name, value) {
+        if (!specs[name]) {
+            throw new Error(`Parámetro ${name} no reconocido`);
+        }
+        apply(name, specs[name].parse(value));
+    }
+
+    /**
+     * Genera una semilla nueva
+     * @param {string} [name] - Parámetro de semilla. Sin nombre, todos los de semilla
+     */
+    function reseed(name) {
+        const names = name ? [name] : Object.keys(specs).filter((n) => specs[n].type === 'seed');
+        for (const n of names) set(n, newSeed());
+    }
+
+    /**
+     * Agrega una función que se llama con cada cambio
+     * @param {Function} fn - Recibe (name, value, values)
+     * @returns {Function} Función que la quita
+     */
+    function subscribe(fn) {
+        listeners.push(fn);
+        return () => {
+            const i = listeners.indexOf(fn);
+            if (i >= 0) listeners.splice(i, 1);
+        };
+    }
+
+    /**
+     * Copia de los valores actuales
+     * @returns {Object} {nombre: valor}
+     */
+    function toJSON() {
+        return { ...values };
+    }
+
+    /**
+     * Restaura valores guardados
+     * @param {Object|string} data - Objeto o texto JSON con {nombre: valor}
+     */
+    function load(data) {
+        const saved = typeof data === 'string' ? JSON.parse(data) : data;
+        for (const [name, value] of Object.entries(saved)) {
+            if (specs[name]) apply(name, specs[name].parse(value));
+        }
+    }
+
+    /**
+     * Valores como texto para la URL
+     * @returns {string} Texto del hash sin '#'
+     */
+    function toHash() {
+        return new URLSearchParams(Object.entries(values).map(([k, v]) => [k, String(v)])).toString();
+    }
+
+    /**
+     * Restaura valores desde un texto de hash
+     * @param {string} [text=location.hash] - Texto con o sin '#'
+     */
+    function loadHash(text = globalThis.location?.hash ?? '') {
+        load(Object.fromEntries(new URLSearchParams(text.replace(/^#/, ''))));
+    }
+
+    if (hash) loadHash();
+
+    let panel = null;
+    if (hasDocument) {
+        panel = el('div', {}, [
+            'position: fixed', 'top: 8px', 'right: 8px', 'z-index: 1000', 'width: 240px',
+            'padding: 6px 8px', 'background: rgba(20, 20, 20, 0.85)', 'color: #eee',
+            'font: 12px monospace', 'border-radius: 4px',
+        ].join(';'));
+        const body = el('div');
+        const header = el('div', { textContent: title }, 'cursor: pointer; font-weight: bold; padding: 2px 0');
+        header.addEventListener('click', () => {
+            body.style.display = body.style.display === 'none' ? '' : 'none';
+        });
+        panel.append(header, body);
+
+        for (const [name, spec] of Object.entries(specs)) {
+            const row = el('label', {}, 'display: flex; align-items: center; gap: 6px; margin: 4px 0');
+            row.append(el('span', { textContent: name }, 'flex: 0 0 70px; overflow: hidden; text-overflow: ellipsis'));
+            // Las listas usan <select>, el resto <input>
+            const input = el(spec.type === 'select' ? 'select' : 'input', {}, 'flex: 1; min-width: 0');
+            const extras = [];
+            if (spec.type === 'slider') {
+                Object.assign(input, { type: 'range', min: spec.min, max: spec.max, step: spec.step });
+                const label = el('span', {}, 'flex: 0 0 40px; text-align: right');
+                extras.push(label);
+                views[name] = () => {
+                    input.value = values[name];
+                    label.textContent = values[name];
+                };
+                input.addEventListener('input', () => set(name, input.value));
+            } else if (spec.type === 'select') {
+                for (const o of spec.options) input.append(el('option', { value: String(o), textContent: String(o) }));
+                views[name] = () => {
+                    input.value = String(values[name]);
+                };
+                input.addEventListener('change', () => set(name, input.value));
+            } else if (spec.type === 'toggle') {
+                input.type = 'checkbox';
+                input.style.flex = '0 0 auto';
+                views[name] = () => {
+                    input.checked = values[name];
+                };
+                input.addEventListener('change', () => set(name, input.checked));
+            } else if (spec.type === 'color') {
+                input.type = 'color';
+                views[name] = () => {
+                    input.value = fullHex(values[name]);
+                };
+                input.addEventListener('input', () => set(name, input.value));
+            } else {
+                input.type = spec.type === 'number' ? 'number' : 'text';
+                views[name] = () => {
+                    input.value = values[name];
+                };
+                input.addEventListener('change', () => set(name, input.value));
+                if (spec.type === 'seed') {
+                    const button = el('button', { type: 'button', textContent: '↻', title: 'Nueva semilla' });
+                    button.addEventListener('click', () => reseed(name));
+                    extras.push(button);
+                }
+            }
+            row.append(input, ...extras);
+            body.append(row);
+            views[name]();
+        }
+
+        const footer = el('div', {}, 'display: flex; gap: 6px; margin-top: 6px');
+        const json = el('button', { type: 'button', textContent: 'JSON' });
+        json.addEventListener('click', () => {
+            saveFile(new Blob([JSON.stringify(values, null, 2)], { type: 'application/json' }), 'params.json');
+        });
+        const link = el('button', { type: 'button', textContent: 'Copiar enlace' });
+        link.addEventListener('click', () => {
+            navigator.clipboard?.writeText(location.href.split('#')[0] + '#' + toHash());
+        });
+        footer.append(json, link);
+        body.append(footer);
+
+        resolveElement(parent ?? document.body).appendChild(panel);
+    }
+
+    /**
+     * Quita el panel del documento
+     */
+    function dispose() {
+        clearTimeout(hashTimer);
+        panel?.remove();
+        listeners.length = 0;
+    }
+
+    return { values, panel, set, reseed, subscribe, toJSON, load, toHash, loadHash, dispose };
+}
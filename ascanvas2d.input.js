@@ -0,0 +1,256 @@
+/** Botón izquierdo del mouse */
+export const MOUSE_LEFT = 0;
+/** Botón central del mouse */
+export const MOUSE_MIDDLE = 1;
+/** Botón derecho del mouse */
+export const MOUSE_RIGHT = 2;
+
+/**
+ * Convierte coordenadas de pantalla (clientX, clientY) a coordenadas del canvas
+ * teniendo en cuenta la resolución y el escalado CSS del elemento
+ * @param {number} clientX - Posición X en la ventana
+ * @param {number} clientY - Posición Y en la ventana
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {{x: number, y: number}} Posición en unidades de dibujo del canvas
+ */
+export function canvasPoint(clientX, clientY, cv) {
+    const rect = cv.getBoundingClientRect();
+    const resolution = cv.resolution ?? 1;
+    const sx = rect.width ? cv.width / resolution / rect.width : 1;
+    const sy = rect.height ? cv.height / resolution / rect.height : 1;
+    return {
+        x: (clientX - rect.left) * sx,
+        y: (clientY - rect.top) * sy,
+    };
+}
+
+/**
+ * Crea el estado de entrada (mouse, teclado y touch) de un sketch
+ *
+ * El estado se actualiza con `handle(type, data)`, que recibe datos ya
+ * normalizados (coordenadas en unidades del canvas). `listen` conecta los
+ * eventos del DOM a este estado.
+ *
+ * @param {Function} [onEvent] - Se llama con (nombre, evento) al presionar/soltar
+ *   botones o teclas y al mover la rueda: 'mousePressed', 'mouseReleased',
+ *   'keyPressed', 'keyReleased', 'mouseWheel'. Su valor de retorno se devuelve en handle()
+ * @returns {Object} {mouse, keyboard, touches, handle, frame}
+ *   - mouse: {x, y, px, py, dx, dy, pressed, button, buttons, wheelX, wheelY}
+ *   - keyboard: {key, code, pressed, keys}
+ *   - touches: Array de {id, x, y}
+ *   - handle(type, data): aplica un evento normalizado
+ *   - frame(): cierra el fotograma (actualiza px/py y reinicia delta y rueda)
+ */
+export function createInput(onEvent = () => {}) {
+    const mouse = {
+        x: 0,
+        y: 0,
+        px: 0,
+        py: 0,
+        dx: 0,
+        dy: 0,
+        pressed: false,
+        button: -1,
+        buttons: new Set(),
+        wheelX: 0,
+        wheelY: 0,
+    };
+    const keyboard = {
+        key: '',
+        code: '',
+        pressed: false,
+        keys: new Set(),
+    };
+    const touches = [];
+    // code -> key, para soltar la tecla correcta aunque cambie el modificador (a / A)
+    const held = new Map();
+
+    function moveMouse(x, y) {
+        mouse.x = x;
+        mouse.y = y;
+        mouse.dx = mouse.x - mouse.px;
+        mouse.dy = mouse.y - mouse.py;
+    }
+
+    function updateTouch(data) {
+        const t = touches.find((t) => t.id === data.id);
+        if (t) {
+            t.x = data.x;
+            t.y = data.y;
+        }
+    }
+
+    /**
+     * Aplica un evento normalizado al estado de entrada
+     * @param {string} type - 'down' | 'move' | 'up' | 'cancel' | 'wheel' | 'keydown' | 'keyup' | 'blur'
+     * @param {Object} [data] - Datos del evento
+     * @param {Event} [event] - Evento original, se pasa a los callbacks
+     * @returns {*} Valor retornado por el callback, si lo hubo
+     */
+    function handle(type, data = {}, event) {
+        switch (type) {
+            case 'down':
+                if (data.touch) {
+                    touches.push({ id: data.id, x: data.x, y: data.y });
+                }
+                if (data.primary) {
+                    moveMouse(data.x, data.y);
+                    mouse.pressed = true;
+                    mouse.button = data.button;
+                    mouse.buttons.add(data.button);
+                    return onEvent('mousePressed', event);
+                }
+                break;
+            case 'move':
+                if (data.touch) updateTouch(data);
+                if (data.primary) moveMouse(data.x, data.y);
+                break;
+            case 'up': {
+                const i = touches.findIndex((t) => t.id === data.id);
+                if (i !== -1) touches.splice(i, 1);
+                if (data.primary && mouse.buttons.has(data.button)) {
+                    moveMouse(data.x, data.y);
+                    mouse.buttons.delete(data.button);
+                    mouse.pressed = mouse.buttons.size > 0;
+                    return onEvent('mouseReleased', event);
+                }
+                break;
+            }
+            case 'cancel': {
+                // El navegador interrumpió el puntero (por ejemplo un gesto del sistema): el
+                // botón puede llegar como -1, así que se sueltan todos
+                const i = touches.findIndex((t) => t.id === data.id);
+                if (i !== -1) touches.splice(i, 1);
+                if (data.primary && mouse.pressed) {
+                    mouse.buttons.clear();
+                    mouse.pressed = false;
+                    return onEvent('mouseReleased', event);
+                }
+                break;
+            }
+            case 'wheel':
+                mouse.wheelX += data.deltaX;
+                mouse.wheelY += data.deltaY;
+                return onEvent('mouseWheel', event);
+            case 'keydown':
+                keyboard.key = data.key;
+                keyboard.code = data.code;
+                held.set(data.code, data.key);
+                keyboard.keys.add(data.key);
+                keyboard.pressed = true;
+                // La repetición automática no vuelve a disparar keyPressed
+                if (!data.repeat) return onEvent('keyPressed', event);
+                break;
+            case 'keyup':
+                keyboard.key = data.key;
+                keyboard.code = data.code;
+                keyboard.keys.delete(held.get(data.code) ?? data.key);
+                held.delete(data.code);
+                keyboard.pressed = keyboard.keys.size > 0;
+                return onEvent('keyReleased', event);
+            case 'blur':
+                // Al perder el foco no llegan los keyup: se liberan todas las teclas
+                keyboard.keys.clear();
+                held.clear();
+                keyboard.pressed = false;
+                mouse.buttons.clear();
+                mouse.pressed = false;
+                touches.length = 0;
+                break;
+        }
+    }
+
+    /**
+     * Cierra el fotograma actual: la posición actual pasa a ser la previa
+     */
+    function frame() {
+        mouse.px = mouse.x;
+        mouse.py = mouse.y;
+        mouse.dx = 0;
+        mouse.dy = 0;
+        mouse.wheelX = 0;
+        mouse.wheelY = 0;
+    }
+
+    return { mouse, keyboard, touches, handle, frame };
+}
+
+/**
+ * Conecta los eventos del DOM (pointer, rueda y teclado) a un estado de entrada
+ * Mientras escucha, el canvas tiene `touch-action: none` y no abre el menú contextual
+ * @param {HTMLCanvasElement} cv - Elemento canvas que recibe los eventos del puntero
+ * @param {Function} handle - Función handle() de createInput
+ * @returns {Function} Función que elimina todos los eventos y restaura touch-action
+ */
+export function listen(cv, handle) {
+    function pointerData(e) {
+        const { x, y } = canvasPoint(e.clientX, e.clientY, cv);
+        return {
+            x,
+            y,
+            id: e.pointerId,
+            button: e.button,
+            primary: e.isPrimary,
+            touch: e.pointerType === 'touch',
+        };
+    }
+    function pointerDown(e) {
+        // Mantiene los eventos del puntero aunque salga del canvas
+        cv.setPointerCapture?.(e.pointerId);
+        handle('down', pointerData(e), e);
+    }
+    function pointerMove(e) {
+        handle('move', pointerData(e), e);
+    }
+    function pointerUp(e) {
+        handle('up', pointerData(e), e);
+    }
+    function pointerCancel(e) {
+        handle('cancel', pointerData(e), e);
+    }
+    function wheel(e) {
+        const data = { deltaX: e.deltaX, deltaY: e.deltaY };
+        if (handle('wheel', data, e) === false) e.preventDefault();
+    }
+    function keyDown(e) {
+        if (handle('keydown', { key: e.key, code: e.code, repeat: e.repeat }, e) === false) {
+            e.preventDefault();
+        }
+    }
+    function keyUp(e) {
+        handle('keyup', { key: e.key, code: e.code }, e);
+    }
+    function blur() {
+        handle('blur');
+    }
+    function contextMenu(e) {
+        // Permite arrastrar con el botón derecho (MOUSE_RIGHT) sin abrir el menú del navegador
+        e.preventDefault();
+    }
+
+    // Sin touch-action el navegador toma los gestos táctiles (scroll, zoom) y cancela los punteros
+    const touchAction = cv.style?.touchAction;
+    if (cv.style) cv.style.touchAction = 'none';
+    cv.addEventListener('pointerdown', pointerDown);
+    cv.addEventListener('pointermove', pointerMove);
+    cv.addEventListener('pointerup', pointerUp);
+    cv.addEventListener('pointercancel', pointerCancel);
+    cv.addEventListener('wheel', wheel, { passive: false });
+    cv.addEventListener('contextmenu', contextMenu);
+    window.addEventListener('keydown', keyDown);
+    window.addEventListener('keyup', keyUp);
+    window.addEventListener('blur', blur);
+
+    return function () {
+        cv.removeEventListener('pointerdown', pointerDown);
+        cv.removeEventListener('pointermove', pointerMove);
+        cv.removeEventListener('pointerup', pointerUp);
+        cv.removeEventListener('pointercancel', pointerCancel);
+        cv.removeEventListener('wheel', wheel);
+        cv.removeEventListener('contextmenu', contextMenu);
+        if (cv.style) cv.style.touchAction = touchAction;
+        window.removeEventListener('keydown', keyDown);
+        window.removeEventListener('keyup', keyUp);
+        window.removeEventListener('blur', blur);
+    };
+}
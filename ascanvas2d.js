@@ -1,89 +1,657 @@
+import { createInput, listen } from './ascanvas2d.input.js';
+import { size } from './ascanvas2d.func.js';
+import { createAPI } from './ascanvas2d.api.js';
+import { newCanvas, resolveElement } from './ascanvas2d.env.js';
+import { createTweens, loopProgress } from './ascanvas2d.tween.js';
+import { createParams } from './ascanvas2d.gui.js';
+
+/** true si el código corre dentro de un Web Worker */
+const inWorker = typeof WorkerGlobalScope !== 'undefined' && globalThis instanceof WorkerGlobalScope;
+/** true si no hay documento ni worker (Node): el canvas lo crea la fábrica de setCanvasFactory() */
+const headless = !inWorker && typeof document === 'undefined';
+
 /**
- * Crea y configura un nuevo elemento canvas en el documento
- * @returns {HTMLCanvasElement} El elemento canvas creado
+ * Prepara un canvas para ser usado como canvas principal de un sketch
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {HTMLCanvasElement} El mismo canvas
  */
-function createCanvas() {
-    const cv = document.createElement('canvas');
+function initCanvas(cv) {
     cv.resolution = 1;
     cv._isMainCanvas = true;
-    document.body.appendChild(cv);
     return cv;
 }
+/**
+ * Crea y configura un nuevo elemento canvas en el documento (sin documento, con la fábrica de setCanvasFactory)
+ * @param {string|HTMLElement} [parent=document.body] - Contenedor (selector o elemento)
+ * @returns {HTMLCanvasElement} El elemento canvas creado
+ */
+function createCanvas(parent) {
+    if (headless) {
+        return initCanvas(newCanvas(300, 150));
+    }
+    const cv = initCanvas(document.createElement('canvas'));
+    resolveElement(parent ?? document.body).appendChild(cv);
+    return cv;
+}
+/**
+ * Indica si un objeto es un OffscreenCanvas
+ * @param {*} cv - Objeto a comprobar
+ * @returns {boolean} true si es un OffscreenCanvas
+ */
+function isOffscreen(cv) {
+    return typeof OffscreenCanvas !== 'undefined' && cv instanceof OffscreenCanvas;
+}
+/**
+ * Adopta un canvas existente en el documento, o un OffscreenCanvas (sin documento, cualquier canvas)
+ * @param {string|HTMLCanvasElement|OffscreenCanvas} el - Selector, elemento canvas u OffscreenCanvas
+ * @returns {HTMLCanvasElement|OffscreenCanvas} El canvas adoptado
+ */
+function adoptCanvas(el) {
+    const cv = resolveElement(el);
+    if (!headless && cv.tagName !== 'CANVAS' && !isOffscreen(cv)) {
+        throw new Error('La opción canvas debe ser un elemento <canvas>');
+    }
+    // Un canvas solo puede pertenecer a un sketch a la vez
+    cv._sketch?.stop();
+    // Descarta la escala de resolución que pudo dejar un sketch anterior
+    cv.getContext('2d', { willReadFrequently: true }).setTransform(1, 0, 0, 1, 0, 0);
+    return initCanvas(cv);
+}
+/**
+ * Obtiene el tamaño del área de contenido de un elemento (sin padding)
+ * @param {HTMLElement} el - Elemento contenedor
+ * @returns {{width: number, height: number}} Tamaño en píxeles CSS
+ */
+function contentSize(el) {
+    const style = getComputedStyle(el);
+    return {
+        width: el.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight),
+        height: el.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom),
+    };
+}
+/**
+ * Observa los cambios de tamaño de la ventana o del contenedor del canvas
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @param {string} mode - 'window' o 'parent'
+ * @param {Function} onResize - Recibe (width, height) con el nuevo tamaño
+ * @returns {Function} Función que deja de observar
+ */
+function observeSize(cv, mode, onResize) {
+    if (mode === 'parent') {
+        const observer = new ResizeObserver(() => {
+            const { width, height } = contentSize(cv.parentElement);
+            onResize(width, height);
+        });
+        observer.observe(cv.parentElement);
+        return () => observer.disconnect();
+    }
+    const resize = () => onResize(window.innerWidth, window.innerHeight);
+    window.addEventListener('resize', resize);
+    return () => window.removeEventListener('resize', resize);
+}
 /**
  * Crea un OffscreenCanvas para renderizado fuera de pantalla
  * @returns {OffscreenCanvas} Canvas fuera de pantalla de 100x100 píxeles
  */
 function createOffCanvas() {
     const cv = new OffscreenCanvas(100, 100);
+    cv.resolution = 1;
     return cv;
 }
 
+/**
+ * Espera el canvas que envía runInWorker() desde el hilo principal y recién
+ * entonces inicia el sketch
+ * @param {Object} options - Opciones de ascanvas2d()
+ * @returns {Object} Controlador del sketch. Sus métodos no tienen efecto hasta que `ready` se resuelve
+ */
+function workerSketch(options) {
+    let sketch = null;
+    const controller = { canvas: null };
+    for (const name of ['pause', 'resume', 'redraw', 'step', 'setFrameRate', 'renderFrames', 'stop', 'dispose']) {
+        controller[name] = (...args) => sketch?.[name](...args);
+    }
+    controller.isLooping = () => sketch?.isLooping() ?? false;
+    controller.ready = new Promise((resolve) => {
+        function init(e) {
+            if (e.data?.type !== 'ascanvas2d:init') return;
+            self.removeEventListener('message', init);
+            const { canvas, width, height } = e.data;
+            canvas.resolution = 1;
+            if (width !== undefined) size(width, height, canvas);
+            sketch = ascanvas2d({ ...options, canvas });
+            controller.canvas = canvas;
+            resolve(sketch.ready.then(() => controller));
+        }
+        self.addEventListener('message', init);
+    });
+    return controller;
+}
+
 /**
  * Inicializa un canvas 2D con funciones de setup y animación
  * @param {Object} options - Opciones de configuración
- * @param {Function} options.setup - Función de configuración inicial que recibe {canvas, mouse}
- * @param {Function} options.draw - Función de animación que recibe {time, deltaRatio, canvas, mouse, frameCount, frameRate}
+ * @param {Function} options.setup - Función de configuración inicial que recibe {canvas, g, mouse, keyboard, touches, assets,
+ *   tween, timeline, params}
+ * @param {Function} options.draw - Función de animación que recibe {time, deltaRatio, canvas, g, mouse, keyboard, touches,
+ *   frameCount, frameRate, assets, tween, timeline, loopProgress, params}
+ *   `tween` y `timeline` crean animaciones que avanzan con `time` (ver createTweens) y `loopProgress(period)` retorna
+ *   el progreso (0 a < 1) de un ciclo de `period` ms
+ *   `g` tiene todas las funciones de dibujo asociadas al canvas (ver createAPI): g.circle(x, y, r)
+ * @param {Function} [options.preload] - Recibe {canvas} y retorna un objeto (o array) de promesas: imágenes, JSON,
+ *   textos, fuentes... Se esperan todas antes de ejecutar setup y el resultado se entrega como `assets`
  * @param {number} [options.frameRate=60] - Velocidad de fotogramas por segundo
- * @param {boolean} [options.offScreen=false] - Si true, crea un OffscreenCanvas
+ * @param {boolean} [options.offScreen=false] - Si true, crea un OffscreenCanvas. Dentro de un Web Worker espera el
+ *   canvas que envía runInWorker() desde la página y recibe de ella los eventos de entrada y los cambios de tamaño
+ * @param {string|HTMLElement} [options.parent=document.body] - Contenedor donde se agrega el canvas (selector o elemento)
+ * @param {string|HTMLCanvasElement|OffscreenCanvas} [options.canvas] - Canvas existente a utilizar (selector o
+ *   elemento) en lugar de crear uno
+ * @param {boolean|string} [options.autoResize=false] - Ajusta el canvas automáticamente: 'window' (o true) al tamaño
+ *   de la ventana, 'parent' al tamaño de su contenedor. Se mantiene la resolución del canvas
+ * @param {Function} [options.windowResized] - Se llama tras cada ajuste automático con {canvas, g, width, height}
+ * @param {boolean} [options.fixedTimeStep=false] - Si true, `time` avanza exactamente 1000 / frameRate ms por
+ *   fotograma sin importar la velocidad real, lo que hace el resultado reproducible
+ * @param {boolean} [options.autoplay=true] - Si false, no ejecuta setup ni inicia el loop hasta llamar a
+ *   resume(), redraw(), step() o renderFrames()
+ * @param {Function} [options.mousePressed] - Se llama al presionar un botón del mouse o tocar la pantalla
+ * @param {Function} [options.mouseReleased] - Se llama al soltar un botón del mouse o dejar de tocar la pantalla
+ * @param {Function} [options.mouseWheel] - Se llama al mover la rueda. Si retorna false se cancela el scroll de la página
+ * @param {Function} [options.keyPressed] - Se llama al presionar una tecla. Si retorna false se cancela la acción por defecto
+ * @param {Function} [options.keyReleased] - Se llama al soltar una tecla
+ *   Los callbacks de entrada reciben {canvas, g, mouse, keyboard, touches, event}
+ * @param {Object} [options.params] - Esquema de parámetros (ver createParams) o un panel ya creado con createParams.
+ *   Sus valores se entregan como `params` a setup y draw
+ * @param {Object} [options.paramsOptions] - Opciones de createParams para el panel creado a partir del esquema:
+ *   {parent, title, hash, onChange}
+ * @param {Function} [options.paramsChanged] - Se llama al cambiar un parámetro con {canvas, g, params, name, value}.
+ *   Si el loop está detenido, después se vuelve a dibujar
+ * @returns {Object} Controlador del sketch:
+ *   - canvas: el canvas utilizado
+ *   - pause(): detiene el loop de animación
+ *   - resume(): reanuda el loop de animación
+ *   - redraw(): ejecuta draw una sola vez con el tiempo actual
+ *   - step(): avanza exactamente un fotograma (1000 / frameRate ms)
+ *   - setFrameRate(fps): cambia la velocidad de fotogramas
+ *   - renderFrames(n, onFrame): ejecuta setup y n fotogramas de forma síncrona con paso fijo
+ *   - isLooping(): true si el loop está activo
+ *   - stop(): detiene el loop y elimina los eventos de forma definitiva
+ *   - dispose(): igual que stop() y además quita el canvas del documento si fue creado por ascanvas2d, y el panel
+ *     de parámetros si se creó a partir de un esquema
+ *   - ready: promesa que se resuelve con el controlador cuando preload terminó (y setup se ejecutó, con autoplay)
+ * @example
+ * const sketch = ascanvas2d({setup, draw});
+ * sketch.pause();
+ * sketch.step();
+ * sketch.resume();
+ * sketch.dispose();
  */
-export default function ascanvas2d({setup, draw, frameRate = 60, offScreen = false} = {}) {
+export default function ascanvas2d({
+    setup,
+    draw,
+    frameRate = 60,
+    offScreen = false,
+    parent,
+    canvas: canvasElement,
+    autoResize = false,
+    windowResized,
+    fixedTimeStep = false,
+    autoplay = true,
+    preload,
+    params: paramsOption,
+    paramsOptions,
+    paramsChanged,
+    ...callbacks
+} = {}) {
     if(!setup || !draw) {
         throw new Error('setup y draw son requeridos');
     }
+    if (offScreen && inWorker && !canvasElement) {
+        return workerSketch(arguments[0]);
+    }
 
     let canvas;
-    if(offScreen) {
+    if(canvasElement) {
+        canvas = adoptCanvas(canvasElement);
+    } else if(offScreen) {
         canvas = createOffCanvas();
     } else {
-        canvas = createCanvas();
+        canvas = createCanvas(parent);
     }
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    
-    const mouse = { x: 0, y: 0 };
+    const ownsCanvas = !canvasElement;
+    canvas.getContext('2d', { willReadFrequently: true });
+    const g = createAPI(canvas);
+    // Animaciones del sketch, avanzadas con el reloj de draw
+    const tweens = createTweens();
+    const { tween, timeline } = tweens;
+    // Un esquema crea un panel propio, que se quita con dispose()
+    const ownsParams = Boolean(paramsOption) && typeof paramsOption.toJSON !== 'function';
+    const paramsPanel = ownsParams ? createParams(paramsOption, paramsOptions) : paramsOption;
+    const params = paramsPanel?.values ?? {};
+
+    const { mouse, keyboard, touches, handle, frame } = createInput(onInput);
     let frameCount = 0;
 
-    // Ejecuta la configuración inicial
-    setup({ canvas, mouse });
+    /**
+     * Ejecuta el callback de entrada del usuario, si existe
+     * @param {string} name Nombre del callback
+     * @param {Event} event Evento original
+     */
+    function onInput(name, event) {
+        if (callbacks[name]) {
+            return callbacks[name]({ canvas, g, mouse, keyboard, touches, event });
+        }
+    }
+
+    // Sin documento no hay ventana ni contenedor al que ajustarse
+    const resizeMode = headless ? false : autoResize === true ? 'window' : autoResize;
+    if (resizeMode && !offScreen) {
+        // Evita el espacio extra de los elementos inline, que haría crecer al contenedor
+        canvas.style.display = 'block';
+        const initial = resizeMode === 'parent'
+            ? contentSize(canvas.parentElement)
+            : { width: window.innerWidth, height: window.innerHeight };
+        size(initial.width, initial.height, canvas);
+    }
 
-    const raf = window.requestAnimationFrame || window.mozRequestAnimationFrame;
-    let lastTime = Date.now();
-    const targetFrameTime = 1000 / frameRate; // Tiempo objetivo entre frames
+    // Sin requestAnimationFrame (algunos workers) se usa un temporizador
+    const hasRaf = typeof requestAnimationFrame === 'function';
+    const raf = hasRaf ? requestAnimationFrame : (f) => setTimeout(() => f(performance.now()), targetFrameTime);
+    const caf = hasRaf ? cancelAnimationFrame : clearTimeout;
+    let targetFrameTime = 1000 / frameRate; // Tiempo objetivo entre frames
+    // Tiempo entregado a draw en el último fotograma (reloj virtual en modo de paso fijo)
+    let lastTime = fixedTimeStep ? -targetFrameTime : performance.now();
     let lastDrawTime = 0;
+    let rafId = null;
+    let looping = false;
+    let stopped = false;
+    let initialized = false;
+    // Hasta que preload termina no se ejecuta setup ni draw
+    let loaded = !preload;
+    let assets;
+
+    /**
+     * Ejecuta preload y espera todas las promesas retornadas
+     * @returns {Promise<Object|Array>} Los recursos cargados, con las mismas claves
+     */
+    async function loadAssets() {
+        const result = await preload({ canvas });
+        if (Array.isArray(result)) {
+            return Promise.all(result);
+        }
+        if (result && typeof result === 'object') {
+            const keys = Object.keys(result);
+            const values = await Promise.all(keys.map((k) => result[k]));
+            return Object.fromEntries(keys.map((k, i) => [k, values[i]]));
+        }
+        return result;
+    }
+
+    /**
+     * Ejecuta la configuración inicial
+     */
+    function init() {
+        initialized = true;
+        // renderFrames() vuelve a ejecutar setup: se descartan sus animaciones anteriores
+        tweens.clear();
+        setup({ canvas, g, mouse, keyboard, touches, assets, tween, timeline, params });
+        if (inWorker) syncSize();
+    }
+
+    let sentWidth;
+    let sentHeight;
+    /**
+     * En un worker, informa a la página el tamaño del canvas cuando cambia
+     * para que ajuste el tamaño CSS del elemento
+     */
+    function syncSize() {
+        const w = canvas.width / canvas.resolution;
+        const h = canvas.height / canvas.resolution;
+        if (w !== sentWidth || h !== sentHeight) {
+            sentWidth = w;
+            sentHeight = h;
+            self.postMessage({ type: 'ascanvas2d:size', width: w, height: h });
+        }
+    }
+
+    /**
+     * Tiempo del siguiente fotograma: el reloj real o el reloj virtual de paso fijo
+     * @param {number} now Tiempo real en milisegundos
+     * @returns {number} Tiempo a entregar a draw
+     */
+    function nextTime(now) {
+        return fixedTimeStep ? lastTime + targetFrameTime : now;
+    }
+
+    /**
+     * Ejecuta draw con el tiempo indicado y avanza el contador de fotogramas
+     * @param {number} time Tiempo del fotograma en milisegundos
+     */
+    function render(time) {
+        if (!loaded) return;
+        if (!initialized) init();
+        const deltaTime = time - lastTime;
+        const constantTime = 1000 / 60;
+        const deltaRatio = constantTime / deltaTime;
+        lastTime = time;
+        // Las animaciones creadas en setup comienzan en el primer fotograma
+        tweens.update(frameCount === 0 ? 0 : deltaTime);
+
+        draw({
+            time,
+            deltaRatio,
+            canvas,
+            g,
+            mouse,
+            keyboard,
+            touches,
+            frameCount,
+            frameRate,
+            assets,
+            tween,
+            timeline,
+            loopProgress: (period) => loopProgress(period, time),
+            params,
+        });
+        frame();
+        frameCount++;
+        if (inWorker) syncSize();
+    }
 
     function _(time) {
         // Solo dibuja si ha pasado suficiente tiempo
         if (time - lastDrawTime >= targetFrameTime) {
-            const deltaTime = time - lastTime;
-            const constantTime = 1000 / 60;
-            const deltaRatio = constantTime / deltaTime;
-            lastTime = time;
             lastDrawTime = time;
+            render(nextTime(time));
+        }
+        // draw pudo llamar a pause() o stop()
+        if (looping) rafId = raf(_);
+    }
+
+    /**
+     * Detiene el loop de animación
+     */
+    function pause() {
+        looping = false;
+        if (rafId !== null) {
+            caf(rafId);
+            rafId = null;
+        }
+    }
 
-            draw({
-                time,
-                deltaRatio,
-                canvas,
-                mouse,
-                frameCount,
-                frameRate,
-            });
-            frameCount++;
+    /**
+     * Reanuda el loop de animación. No tiene efecto si el sketch fue detenido
+     */
+    function resume() {
+        if (looping || stopped) return;
+        looping = true;
+        // Evita un deltaRatio gigante tras una pausa larga
+        if (!fixedTimeStep) lastTime = performance.now();
+        rafId = raf(_);
+    }
+
+    /**
+     * Ejecuta draw una vez con el tiempo actual
+     */
+    function redraw() {
+        if (stopped) return;
+        const now = performance.now();
+        // Con el loop detenido, el tiempo en pausa no cuenta: las animaciones avanzan un fotograma
+        if (!looping && !fixedTimeStep) lastTime = now - targetFrameTime;
+        render(nextTime(now));
+    }
+
+    /**
+     * Avanza exactamente un fotograma respecto al último dibujado
+     */
+    function step() {
+        if (stopped) return;
+        render(lastTime + targetFrameTime);
+    }
+
+    /**
+     * Ejecuta setup y n fotogramas de forma síncrona, sin requestAnimationFrame.
+     * Detiene el loop, reinicia frameCount y el reloj, y usa siempre paso fijo:
+     * el fotograma i recibe time = i * 1000 / frameRate. Con preload, esperar a `ready`
+     * @param {number} n Cantidad de fotogramas
+     * @param {Function} [onFrame] Se llama tras cada fotograma con {canvas, frameCount}
+     * @returns {HTMLCanvasElement} El canvas con el último fotograma
+     */
+    function renderFrames(n, onFrame) {
+        if (stopped || !loaded) return canvas;
+        pause();
+        frameCount = 0;
+        lastTime = -targetFrameTime;
+        init();
+        for (let i = 0; i < n; i++) {
+            render(lastTime + targetFrameTime);
+            onFrame?.({ canvas, frameCount: i });
         }
-        raf(_);
+        return canvas;
+    }
+
+    /**
+     * Cambia la velocidad de fotogramas
+     * @param {number} fps Fotogramas por segundo
+     */
+    function setFrameRate(fps) {
+        frameRate = fps;
+        targetFrameTime = 1000 / fps;
+    }
+
+    /**
+     * Detiene el loop definitivamente y elimina los eventos
+     */
+    function stop() {
+        pause();
+        if (stopped) return;
+        stopped = true;
+        unlisten();
+        unobserve();
+        unsubscribe();
+        if (canvas._sketch === controller) delete canvas._sketch;
+    }
+
+    /**
+     * Detiene el sketch y quita el canvas del documento si fue creado por ascanvas2d
+     */
+    function dispose() {
+        stop();
+        if (ownsCanvas && canvas.remove) canvas.remove();
+        if (ownsParams) paramsPanel.dispose();
     }
-    _();
-    
+
+    /**
+     * Ajusta el canvas al nuevo tamaño manteniendo la resolución
+     * @param {number} w Ancho en píxeles CSS
+     * @param {number} h Alto en píxeles CSS
+     */
+    function resize(w, h) {
+        if (w === canvas.width / canvas.resolution && h === canvas.height / canvas.resolution) return;
+        size(w, h, canvas);
+        windowResized?.({ canvas, g, width: w, height: h });
+        // Cambiar el tamaño borra el canvas: si el loop está detenido se vuelve a dibujar, salvo
+        // que el sketch aún no haya comenzado (autoplay: false)
+        if (!looping && initialized) redraw();
+    }
+
+    /**
+     * En un worker, recibe los eventos de entrada, los cambios de tamaño y las
+     * llamadas al controlador que envía runInWorker()
+     * @returns {Function} Función que deja de escuchar
+     */
+    function listenMessages() {
+        function onMessage(e) {
+            const msg = e.data;
+            if (msg?.type === 'ascanvas2d:input') {
+                handle(msg.input, msg.data);
+            } else if (msg?.type === 'ascanvas2d:resize') {
+                resize(msg.width, msg.height);
+            } else if (msg?.type === 'ascanvas2d:call') {
+                controller[msg.name]?.(...(msg.args ?? []));
+            }
+        }
+        self.addEventListener('message', onMessage);
+        return () => self.removeEventListener('message', onMessage);
+    }
+
+    // Configuración de eventos de mouse, touch y teclado
+    let unlisten = () => {};
+    if (inWorker) {
+        unlisten = listenMessages();
+    } else if (!headless) {
+        unlisten = listen(canvas, handle);
+    }
+    const unsubscribe = paramsPanel
+        ? paramsPanel.subscribe((name, value) => {
+            paramsChanged?.({ canvas, g, params, name, value });
+            // Con el loop detenido el cambio no se vería hasta el siguiente redraw
+            if (!looping && initialized) redraw();
+        })
+        : () => {};
+    const unobserve = resizeMode && !offScreen ? observeSize(canvas, resizeMode, resize) : () => {};
+
+    const controller = {
+        canvas,
+        pause,
+        resume,
+        redraw,
+        step,
+        setFrameRate,
+        renderFrames,
+        isLooping: () => looping,
+        stop,
+        dispose,
+    };
+    canvas._sketch = controller;
+
+    /**
+     * Ejecuta setup e inicia el loop si autoplay está activo
+     * @returns {Object} El controlador
+     */
+    function start() {
+        if (autoplay && !stopped) {
+            init();
+            resume();
+        }
+        return controller;
+    }
+
+    if (preload) {
+        controller.ready = loadAssets().then((result) => {
+            assets = result;
+            loaded = true;
+            return start();
+        });
+    } else {
+        controller.ready = Promise.resolve(start());
+    }
+
+    return controller;
+}
+
+/**
+ * Ejecuta un sketch dentro de un Web Worker
+ *
+ * Transfiere el control de un canvas de la página al worker, que ejecuta
+ * `ascanvas2d({offScreen: true, setup, draw})` con las mismas funciones de
+ * dibujo. Los eventos del puntero, la rueda y el teclado, y los cambios de
+ * tamaño (autoResize) se envían al worker. El worker informa el tamaño del
+ * canvas para ajustar su tamaño CSS.
+ *
+ * Como los eventos se procesan en otro hilo, los callbacks no pueden cancelar
+ * la acción por defecto del navegador y reciben `event` indefinido.
+ *
+ * @param {Worker} worker - Worker que ejecuta el sketch (usar {type: 'module'})
+ * @param {Object} [options] - Opciones
+ * @param {string|HTMLElement} [options.parent=document.body] - Contenedor donde se agrega el canvas
+ * @param {string|HTMLCanvasElement} [options.canvas] - Canvas existente a utilizar (no debe tener contexto)
+ * @param {boolean|string} [options.autoResize=false] - 'window' (o true) o 'parent', como en ascanvas2d()
+ * @returns {Object} Controlador {canvas, worker, pause, resume, redraw, step, setFrameRate, stop, dispose}.
+ *   Los métodos se envían al worker. dispose() además termina el worker
+ * @example
+ * // main.js
+ * runInWorker(new Worker('./sketch.worker.js', { type: 'module' }), { autoResize: true });
+ *
+ * // sketch.worker.js
+ * import ascanvas2d from './ascanvas2d.js';
+ * ascanvas2d({ offScreen: true, setup, draw });
+ */
+export function runInWorker(worker, { parent, canvas: canvasElement, autoResize = false } = {}) {
+    const canvas = canvasElement ? resolveElement(canvasElement) : createCanvas(parent);
+    const offscreen = canvas.transferControlToOffscreen();
+    const resizeMode = autoResize === true ? 'window' : autoResize;
+    const initial = {};
+    if (resizeMode) {
+        canvas.style.display = 'block';
+        Object.assign(initial, resizeMode === 'parent'
+            ? contentSize(canvas.parentElement)
+            : { width: window.innerWidth, height: window.innerHeight });
+    }
+    worker.postMessage({ type: 'ascanvas2d:init', canvas: offscreen, ...initial }, [offscreen]);
+
+    // El canvas transferido no refleja su tamaño: se usa el que informa el
+    // worker para convertir las coordenadas del puntero
+    const view = {
+        width: canvas.width,
+        height: canvas.height,
+        resolution: 1,
+        style: canvas.style,
+        getBoundingClientRect: () => canvas.getBoundingClientRect(),
+        setPointerCapture: (id) => canvas.setPointerCapture(id),
+        addEventListener: (...args) => canvas.addEventListener(...args),
+        removeEventListener: (...args) => canvas.removeEventListener(...args),
+    };
+    function onMessage(e) {
+        if (e.data?.type !== 'ascanvas2d:size') return;
+        view.width = e.data.width;
+        view.height = e.data.height;
+        canvas.style.width = e.data.width + 'px';
+        canvas.style.height = e.data.height + 'px';
+    }
+    worker.addEventListener('message', onMessage);
+
+    const unlisten = listen(view, (type, data) => {
+        worker.postMessage({ type: 'ascanvas2d:input', input: type, data });
+    });
+    const unobserve = resizeMode
+        ? observeSize(canvas, resizeMode, (width, height) => {
+            worker.postMessage({ type: 'ascanvas2d:resize', width, height });
+        })
+        : () => {};
+
+    const call = (name) => (...args) => worker.postMessage({ type: 'ascanvas2d:call', name, args });
+    let stopped = false;
+
+    /**
+     * Detiene el sketch del worker y deja de enviarle eventos
+     */
+    function stop() {
+        if (stopped) return;
+        call('stop')();
+        stopped = true;
+        unlisten();
+        unobserve();
+        worker.removeEventListener('message', onMessage);
+    }
+
     /**
-     * Actualiza las coordenadas del mouse relativas al canvas
-     * @param {MouseEvent} e Evento del mouse
+     * Detiene el sketch, termina el worker y quita el canvas si fue creado por runInWorker
      */
-    function mouseMove(e) {
-        var rect = ctx.canvas.getBoundingClientRect();
-        mouse.x = e.clientX - rect.left;
-        mouse.y = e.clientY - rect.top;
+    function dispose() {
+        stop();
+        worker.terminate();
+        if (!canvasElement) canvas.remove();
     }
 
-    // Configuración de eventos del mouse
-    ctx.canvas.removeEventListener('mousemove', mouseMove);
-    ctx.canvas.addEventListener('mousemove', mouseMove, false);
+    return {
+        canvas,
+        worker,
+        pause: call('pause'),
+        resume: call('resume'),
+        redraw: call('redraw'),
+        step: call('step'),
+        setFrameRate: call('setFrameRate'),
+        stop,
+        dispose,
+    };
 }
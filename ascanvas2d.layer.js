@@ -0,0 +1,87 @@
+import {
+    createOffCanvas,
+    size,
+    width,
+    height,
+    push,
+    pop,
+    blendMode,
+    alpha,
+    imageMode,
+    noTint,
+    image,
+    BLEND,
+    CORNER,
+} from './ascanvas2d.func.js';
+import { createAPI } from './ascanvas2d.api.js';
+
+/**
+ * Crea una capa: un canvas fuera de pantalla con sus propias funciones de dibujo
+ *
+ * La capa usa la resolución del canvas de referencia y tiene su propio estado
+ * (relleno, trazo, transformaciones...). Se dibuja sobre otro canvas con
+ * composite().
+ *
+ * @param {number} w - Ancho de la capa
+ * @param {number} h - Alto de la capa
+ * @param {HTMLCanvasElement} [cv] - Canvas de referencia para la resolución
+ * @returns {Object} Capa con todas las funciones de dibujo asociadas (ver createAPI) y además:
+ *   - canvas: el canvas de la capa
+ *   - clear(): borra la capa dejándola transparente
+ *   - resize(w, h): cambia el tamaño conservando el contenido
+ *   - composite(target, {x, y, blend, opacity}): dibuja la capa sobre otro canvas
+ * @example
+ * const trails = createLayer(width(canvas), height(canvas), canvas);
+ * // en draw:
+ * trails.fill('rgba(255, 255, 255, 0.1)');
+ * trails.circle(mouse.x, mouse.y, 10);
+ * bg('#000', canvas);
+ * trails.composite(canvas, { blend: ADD, opacity: 0.8 });
+ */
+export function createLayer(w, h, cv) {
+    const canvas = createOffCanvas(w, h, cv);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    /**
+     * Borra la capa
+     */
+    function clear() {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.restore();
+    }
+
+    /**
+     * Cambia el tamaño de la capa conservando el contenido (recortado o con
+     * espacio transparente). Como con size(), se reinicia el estado de dibujo
+     * @param {number} nw - Nuevo ancho
+     * @param {number} nh - Nuevo alto
+     */
+    function resize(nw, nh) {
+        const content = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        size(nw, nh, canvas);
+        ctx.putImageData(content, 0, 0);
+    }
+
+    /**
+     * Dibuja la capa sobre otro canvas
+     * @param {HTMLCanvasElement} target - Canvas de destino
+     * @param {Object} [options] - Opciones
+     * @param {number} [options.x=0] - Posición X
+     * @param {number} [options.y=0] - Posición Y
+     * @param {string} [options.blend=BLEND] - Modo de mezcla (ver blendMode)
+     * @param {number} [options.opacity=1] - Opacidad (0-1)
+     */
+    function composite(target, { x = 0, y = 0, blend = BLEND, opacity = 1 } = {}) {
+        push(target);
+        blendMode(blend, target);
+        alpha(opacity, target);
+        imageMode(CORNER, target);
+        noTint(target);
+        image(canvas, x, y, width(canvas), height(canvas), target);
+        pop(target);
+    }
+
+    return { ...createAPI(canvas), canvas, clear, resize, composite };
+}
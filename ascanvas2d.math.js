@@ -0,0 +1,530 @@
+/**
+ * Vectores 2D/3D y funciones de geometría
+ *
+ * Los métodos de Vec2 y Vec3 modifican el vector y lo retornan para poder
+ * encadenarlos (como en p5js). Usar copy() para obtener un vector nuevo.
+ * Las funciones de geometría aceptan cualquier objeto {x, y}.
+ */
+
+/**
+ * Interpola linealmente entre dos valores
+ * @param {number} a - Valor inicial
+ * @param {number} b - Valor final
+ * @param {number} t - Posición entre 0 y 1
+ * @returns {number} Valor interpolado
+ */
+export function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Limita un valor a un rango
+ * @param {number} v - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number} Valor limitado
+ */
+export function clamp(v, min, max) {
+    return Math.min(max, Math.max(min, v));
+}
+
+/**
+ * Vector 2D
+ * @example
+ * const vel = new Vec2(1, 0).rotate(Math.PI / 4).mult(3);
+ * pos.add(vel);
+ */
+export class Vec2 {
+    /**
+     * @param {number} [x=0] - Componente X
+     * @param {number} [y=0] - Componente Y
+     */
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Crea un vector a partir de un ángulo
+     * @param {number} a - Ángulo en radianes
+     * @param {number} [len=1] - Longitud
+     * @returns {Vec2} Vector nuevo
+     */
+    static fromAngle(a, len = 1) {
+        return new Vec2(Math.cos(a) * len, Math.sin(a) * len);
+    }
+
+    /**
+     * Crea un vector a partir de un array [x, y]
+     * @param {number[]} arr - Array
+     * @returns {Vec2} Vector nuevo
+     */
+    static fromArray(arr) {
+        return new Vec2(arr[0], arr[1]);
+    }
+
+    /**
+     * Distancia entre dos puntos
+     * @param {{x: number, y: number}} a - Primer punto
+     * @param {{x: number, y: number}} b - Segundo punto
+     * @returns {number} Distancia
+     */
+    static dist(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    /**
+     * Establece las componentes
+     * @param {number|{x: number, y: number}} x - Componente X o vector
+     * @param {number} [y] - Componente Y
+     * @returns {Vec2} Este vector
+     */
+    set(x, y) {
+        if (typeof x === 'object') {
+            this.x = x.x;
+            this.y = x.y;
+        } else {
+            this.x = x;
+            this.y = y;
+        }
+        return this;
+    }
+
+    /** @returns {Vec2} Copia del vector */
+    copy() {
+        return new Vec2(this.x, this.y);
+    }
+
+    /**
+     * Suma un vector o componentes
+     * @param {number|{x: number, y: number}} x - Componente X o vector
+     * @param {number} [y] - Componente Y
+     * @returns {Vec2} Este vector
+     */
+    add(x, y) {
+        if (typeof x === 'object') {
+            this.x += x.x;
+            this.y += x.y;
+        } else {
+            this.x += x;
+            this.y += y;
+        }
+        return this;
+    }
+
+    /**
+     * Resta un vector o componentes
+     * @param {number|{x: number, y: number}} x - Componente X o vector
+     * @param {number} [y] - Componente Y
+     * @returns {Vec2} Este vector
+     */
+    sub(x, y) {
+        if (typeof x === 'object') {
+            this.x -= x.x;
+            this.y -= x.y;
+        } else {
+            this.x -= x;
+            this.y -= y;
+        }
+        return this;
+    }
+
+    /**
+     * Multiplica por un escalar
+     * @param {number} s - Escalar
+     * @returns {Vec2} Este vector
+     */
+    mult(s) {
+        this.x *= s;
+        this.y *= s;
+        return this;
+    }
+
+    /**
+     * Divide por un escalar
+     * @param {number} s - Escalar
+     * @returns {Vec2} Este vector
+     */
+    div(s) {
+        this.x /= s;
+        this.y /= s;
+        return this;
+    }
+
+    /** @returns {number} Longitud */
+    mag() {
+        return Math.hypot(this.x, this.y);
+    }
+
+    /** @returns {number} Longitud al cuadrado (más rápido para comparar) */
+    magSq() {
+        return this.x * this.x + this.y * this.y;
+    }
+
+    /**
+     * Ajusta la longitud a 1 (un vector nulo queda igual)
+     * @returns {Vec2} Este vector
+     */
+    normalize() {
+        const m = this.mag();
+        return m > 0 ? this.div(m) : this;
+    }
+
+    /**
+     * Limita la longitud
+     * @param {number} max - Longitud máxima
+     * @returns {Vec2} Este vector
+     */
+    limit(max) {
+        const m = this.magSq();
+        return m > max * max ? this.mult(max / Math.sqrt(m)) : this;
+    }
+
+    /**
+     * Establece la longitud manteniendo la dirección
+     * @param {number} len - Nueva longitud
+     * @returns {Vec2} Este vector
+     */
+    setMag(len) {
+        return this.normalize().mult(len);
+    }
+
+    /** @returns {number} Ángulo del vector en radianes */
+    heading() {
+        return Math.atan2(this.y, this.x);
+    }
+
+    /**
+     * Rota el vector
+     * @param {number} a - Ángulo en radianes
+     * @returns {Vec2} Este vector
+     */
+    rotate(a) {
+        const c = Math.cos(a);
+        const s = Math.sin(a);
+        return this.set(this.x * c - this.y * s, this.x * s + this.y * c);
+    }
+
+    /**
+     * Interpola hacia otro vector
+     * @param {{x: number, y: number}} v - Vector destino
+     * @param {number} t - Posición entre 0 y 1
+     * @returns {Vec2} Este vector
+     */
+    lerp(v, t) {
+        return this.set(lerp(this.x, v.x, t), lerp(this.y, v.y, t));
+    }
+
+    /**
+     * Producto escalar
+     * @param {{x: number, y: number}} v - Otro vector
+     * @returns {number} Producto escalar
+     */
+    dot(v) {
+        return this.x * v.x + this.y * v.y;
+    }
+
+    /**
+     * Producto cruz 2D (componente Z del producto cruz 3D)
+     * @param {{x: number, y: number}} v - Otro vector
+     * @returns {number} Positivo si v está en sentido horario en pantalla
+     */
+    cross(v) {
+        return this.x * v.y - this.y * v.x;
+    }
+
+    /**
+     * Distancia a otro punto
+     * @param {{x: number, y: number}} v - Otro punto
+     * @returns {number} Distancia
+     */
+    dist(v) {
+        return Vec2.dist(this, v);
+    }
+
+    /** @returns {number[]} [x, y] */
+    toArray() {
+        return [this.x, this.y];
+    }
+}
+
+/**
+ * Vector 3D liviano, compatible con los arrays [x, y, z] de curlNoise3
+ * @example
+ * const [cx, cy, cz] = curl(Vec3.fromArray(p).mult(0.01).toArray());
+ */
+export class Vec3 {
+    /**
+     * @param {number} [x=0] - Componente X
+     * @param {number} [y=0] - Componente Y
+     * @param {number} [z=0] - Componente Z
+     */
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    /**
+     * Crea un vector a partir de un array [x, y, z]
+     * @param {number[]} arr - Array
+     * @returns {Vec3} Vector nuevo
+     */
+    static fromArray(arr) {
+        return new Vec3(arr[0], arr[1], arr[2]);
+    }
+
+    /**
+     * Establece las componentes
+     * @param {number|{x: number, y: number, z: number}} x - Componente X o vector
+     * @param {number} [y] - Componente Y
+     * @param {number} [z] - Componente Z
+     * @returns {Vec3} Este vector
+     */
+    set(x, y, z) {
+        if (typeof x === 'object') {
+            return this.set(x.x, x.y, x.z);
+        }
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    /** @returns {Vec3} Copia del vector */
+    copy() {
+        return new Vec3(this.x, this.y, this.z);
+    }
+
+    /**
+     * Suma otro vector
+     * @param {{x: number, y: number, z: number}} v - Vector
+     * @returns {Vec3} Este vector
+     */
+    add(v) {
+        return this.set(this.x + v.x, this.y + v.y, this.z + v.z);
+    }
+
+    /**
+     * Resta otro vector
+     * @param {{x: number, y: number, z: number}} v - Vector
+     * @returns {Vec3} Este vector
+     */
+    sub(v) {
+        return this.set(this.x - v.x, this.y - v.y, this.z - v.z);
+    }
+
+    /**
+     * Multiplica por un escalar
+     * @param {number} s - Escalar
+     * @returns {Vec3} Este vector
+     */
+    mult(s) {
+        return this.set(this.x * s, this.y * s, this.z * s);
+    }
+
+    /**
+     * Divide por un escalar
+     * @param {number} s - Escalar
+     * @returns {Vec3} Este vector
+     */
+    div(s) {
+        return this.set(this.x / s, this.y / s, this.z / s);
+    }
+
+    /** @returns {number} Longitud */
+    mag() {
+        return Math.hypot(this.x, this.y, this.z);
+    }
+
+    /**
+     * Ajusta la longitud a 1 (un vector nulo queda igual)
+     * @returns {Vec3} Este vector
+     */
+    normalize() {
+        const m = this.mag();
+        return m > 0 ? this.div(m) : this;
+    }
+
+    /**
+     * Limita la longitud
+     * @param {number} max - Longitud máxima
+     * @returns {Vec3} Este vector
+     */
+    limit(max) {
+        const m = this.mag();
+        return m > max ? this.mult(max / m) : this;
+    }
+
+    /**
+     * Interpola hacia otro vector
+     * @param {{x: number, y: number, z: number}} v - Vector destino
+     * @param {number} t - Posición entre 0 y 1
+     * @returns {Vec3} Este vector
+     */
+    lerp(v, t) {
+        return this.set(lerp(this.x, v.x, t), lerp(this.y, v.y, t), lerp(this.z, v.z, t));
+    }
+
+    /**
+     * Producto escalar
+     * @param {{x: number, y: number, z: number}} v - Otro vector
+     * @returns {number} Producto escalar
+     */
+    dot(v) {
+        return this.x * v.x + this.y * v.y + this.z * v.z;
+    }
+
+    /**
+     * Producto cruz
+     * @param {{x: number, y: number, z: number}} v - Otro vector
+     * @returns {Vec3} Vector nuevo perpendicular a ambos
+     */
+    cross(v) {
+        return new Vec3(
+            this.y * v.z - this.z * v.y,
+            this.z * v.x - this.x * v.z,
+            this.x * v.y - this.y * v.x,
+        );
+    }
+
+    /** @returns {number[]} [x, y, z] */
+    toArray() {
+        return [this.x, this.y, this.z];
+    }
+}
+
+/**
+ * Intersección entre dos rectas infinitas definidas por dos puntos cada una
+ * @param {{x: number, y: number}} p1 - Punto de la primera recta
+ * @param {{x: number, y: number}} p2 - Otro punto de la primera recta
+ * @param {{x: number, y: number}} p3 - Punto de la segunda recta
+ * @param {{x: number, y: number}} p4 - Otro punto de la segunda recta
+ * @returns {Vec2|null} Punto de intersección, o null si son paralelas
+ */
+export function lineIntersection(p1, p2, p3, p4) {
+    const d = (p1.x - p2.x) * (p3.y - p4.y) - (p1.y - p2.y) * (p3.x - p4.x);
+    if (d === 0) return null;
+    const t = ((p1.x - p3.x) * (p3.y - p4.y) - (p1.y - p3.y) * (p3.x - p4.x)) / d;
+    return new Vec2(p1.x + t * (p2.x - p1.x), p1.y + t * (p2.y - p1.y));
+}
+
+/**
+ * Intersección entre dos segmentos
+ * @param {{x: number, y: number}} p1 - Inicio del primer segmento
+ * @param {{x: number, y: number}} p2 - Fin del primer segmento
+ * @param {{x: number, y: number}} p3 - Inicio del segundo segmento
+ * @param {{x: number, y: number}} p4 - Fin del segundo segmento
+ * @returns {Vec2|null} Punto de intersección, o null si no se cruzan
+ */
+export function segmentIntersection(p1, p2, p3, p4) {
+    const d = (p1.x - p2.x) * (p3.y - p4.y) - (p1.y - p2.y) * (p3.x - p4.x);
+    if (d === 0) return null;
+    const t = ((p1.x - p3.x) * (p3.y - p4.y) - (p1.y - p3.y) * (p3.x - p4.x)) / d;
+    const u = -((p1.x - p2.x) * (p1.y - p3.y) - (p1.y - p2.y) * (p1.x - p3.x)) / d;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return new Vec2(p1.x + t * (p2.x - p1.x), p1.y + t * (p2.y - p1.y));
+}
+
+/**
+ * Punto de un segmento más cercano a otro punto
+ * @param {{x: number, y: number}} p - Punto
+ * @param {{x: number, y: number}} a - Inicio del segmento
+ * @param {{x: number, y: number}} b - Fin del segmento
+ * @returns {Vec2} Punto más cercano sobre el segmento
+ */
+export function closestPointOnSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = dx * dx + dy * dy;
+    const t = len === 0 ? 0 : clamp(((p.x - a.x) * dx + (p.y - a.y) * dy) / len, 0, 1);
+    return new Vec2(a.x + t * dx, a.y + t * dy);
+}
+
+/**
+ * Indica si un punto está dentro de un polígono (regla par-impar)
+ * @param {{x: number, y: number}} p - Punto
+ * @param {Array<{x: number, y: number}>} polygon - Vértices del polígono
+ * @returns {boolean} true si está dentro
+ */
+export function pointInPolygon(p, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if (a.y > p.y !== b.y > p.y && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Área de un polígono simple
+ * @param {Array<{x: number, y: number}>} polygon - Vértices del polígono
+ * @param {boolean} [signed=false] - Si true, el signo indica el sentido (positivo = horario en pantalla)
+ * @returns {number} Área
+ */
+export function polygonArea(polygon, signed = false) {
+    let area = 0;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        area += polygon[j].x * polygon[i].y - polygon[i].x * polygon[j].y;
+    }
+    area /= 2;
+    return signed ? area : Math.abs(area);
+}
+
+/**
+ * Centroide (centro de masa) de un polígono simple
+ * @param {Array<{x: number, y: number}>} polygon - Vértices del polígono
+ * @returns {Vec2} Centroide
+ */
+export function polygonCentroid(polygon) {
+    const area = polygonArea(polygon, true);
+    if (area === 0) {
+        // Polígono degenerado: promedio de los vértices
+        const c = polygon.reduce((acc, p) => acc.add(p), new Vec2());
+        return c.div(polygon.length || 1);
+    }
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const f = polygon[j].x * polygon[i].y - polygon[i].x * polygon[j].y;
+        cx += (polygon[j].x + polygon[i].x) * f;
+        cy += (polygon[j].y + polygon[i].y) * f;
+    }
+    return new Vec2(cx / (6 * area), cy / (6 * area));
+}
+
+/**
+ * Rectángulo mínimo que contiene a todos los puntos
+ * @param {Array<{x: number, y: number}>} points - Puntos
+ * @returns {{x: number, y: number, w: number, h: number}} Rectángulo
+ */
+export function boundingBox(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+/**
+ * Ángulo que recorre un arco, con las mismas reglas que arc() y ellipse() del contexto
+ * @param {number} start - Ángulo inicial en radianes
+ * @param {number} end - Ángulo final en radianes
+ * @param {boolean} [ccw=false] - Sentido antihorario
+ * @returns {number} Ángulo recorrido (negativo en sentido antihorario)
+ */
+export function arcSweep(start, end, ccw = false) {
+    const TAU = Math.PI * 2;
+    if (!ccw && end - start >= TAU) return TAU;
+    if (ccw && start - end >= TAU) return -TAU;
+    // En sentido contrario al indicado se da la vuelta: arc(0, 2π, true) es un círculo completo
+    if (!ccw && start > end) return TAU - ((start - end) % TAU);
+    if (ccw && start < end) return -(TAU - ((end - start) % TAU));
+    return end - start;
+}
@@ -0,0 +1,28 @@
+import { writeFile } from 'node:fs/promises';
+import { setCanvasFactory } from './ascanvas2d.env.js';
+
+/**
+ * Configura ascanvas2d para dibujar en Node con una implementación de canvas
+ * Acepta los módulos de node-canvas, @napi-rs/canvas (createCanvas) y skia-canvas (Canvas)
+ * @param {Object} lib - Módulo de la implementación de canvas
+ * @example
+ * useNodeCanvas(await import('canvas'));
+ */
+export function useNodeCanvas(lib) {
+    const createCanvas = lib.createCanvas ?? ((w, h) => new lib.Canvas(w, h));
+    setCanvasFactory(createCanvas, { loadImage: lib.loadImage });
+}
+
+/**
+ * Guarda el contenido del canvas como PNG en disco
+ * @param {Object} cv - Canvas creado en Node
+ * @param {string} path - Ruta del archivo
+ * @returns {Promise<void>} Se resuelve cuando el archivo fue escrito
+ * @example
+ * await writePNG(sketch.canvas, `out/${seed}.png`);
+ */
+export async function writePNG(cv, path) {
+    // skia-canvas retorna una promesa, node-canvas y @napi-rs/canvas un Buffer
+    const data = await cv.toBuffer('image/png');
+    await writeFile(path, data);
+}
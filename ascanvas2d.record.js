@@ -0,0 +1,220 @@
+import { saveFile } from './ascanvas2d.func.js';
+
+/** Tabla precalculada para CRC-32 */
+const crcTable = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Calcula el CRC-32 de un buffer
+ * @param {Uint8Array} data - Datos
+ * @returns {number} CRC-32 sin signo
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Crea un archivo zip sin compresión (los PNG ya están comprimidos)
+ * @param {Array<{name: string, data: Uint8Array}>} files - Archivos a incluir
+ * @returns {Blob} Archivo zip
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+        // Cabecera local
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(10, 0, true);
+        local.setUint16(12, 0x21, true); // 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+        // Entrada del directorio central
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, size, true);
+        entry.setUint32(24, size, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, name);
+        offset += 30 + name.length + size;
+    }
+    const centralSize = central.reduce((s, p) => s + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * Obtiene el contenido del canvas como Blob PNG
+ * @param {HTMLCanvasElement|OffscreenCanvas} cv - Canvas
+ * @returns {Promise<Blob>} Imagen PNG
+ */
+function canvasToBlob(cv) {
+    if (cv.convertToBlob) {
+        return cv.convertToBlob({ type: 'image/png' });
+    }
+    return new Promise((resolve) => cv.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Elige el primer formato de video WebM soportado por el navegador
+ * @returns {string} Tipo MIME
+ */
+function webmType() {
+    const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    return types.find((t) => MediaRecorder.isTypeSupported(t)) ?? 'video/webm';
+}
+
+/**
+ * Crea un grabador de animaciones para un canvas
+ *
+ * Se llama a `capture()` al final de cada `draw` para agregar el fotograma
+ * actual. Al alcanzar la cantidad de fotogramas indicada se detiene y
+ * descarga el resultado automáticamente.
+ *
+ * - 'png': un zip con los fotogramas numerados (nombre-00000.png, ...).
+ *   Cada fotograma es exacto, por lo que funciona con renderFrames().
+ * - 'webm': video mediante MediaRecorder y canvas.captureStream(). El
+ *   video toma el tiempo real, por lo que debe grabarse con el loop normal.
+ *
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.format='png'] - 'png' o 'webm'
+ * @param {number} [options.frames=Infinity] - Cantidad de fotogramas a grabar
+ * @param {number} [options.duration] - Duración a grabar en ms (reemplaza a frames)
+ * @param {number} [options.frameRate=60] - Fotogramas por segundo, para convertir duration a fotogramas
+ * @param {string} [options.filename='sketch'] - Nombre del archivo sin extensión
+ * @param {number} [options.bitrate=8000000] - Bits por segundo del video webm
+ * @param {boolean} [options.save] - Si true, descarga el archivo al terminar. Por defecto, solo si hay
+ *   documento: en un worker o en Node el Blob llega a onComplete y a la promesa de stop()
+ * @param {Function} [options.onComplete] - Recibe el Blob generado al terminar
+ * @returns {Object} Grabador {start, capture, stop, isRecording, frameCount}
+ * @example
+ * const recorder = createRecorder(canvas, {frames: 120, filename: 'loop'});
+ * recorder.start();
+ * // al final de draw:
+ * recorder.capture();
+ */
+export function createRecorder(cv, {
+    format = 'png',
+    frames = Infinity,
+    duration,
+    frameRate = 60,
+    filename = 'sketch',
+    bitrate = 8000000,
+    save = typeof document !== 'undefined',
+    onComplete,
+} = {}) {
+    const total = duration !== undefined ? Math.ceil((duration / 1000) * frameRate) : frames;
+    let recording = false;
+    let count = 0;
+    let pngFrames = [];
+    let mediaRecorder = null;
+    let track = null;
+    let chunks = [];
+
+    /**
+     * Comienza la grabación
+     */
+    function start() {
+        if (recording) return;
+        recording = true;
+        count = 0;
+        pngFrames = [];
+        chunks = [];
+        if (format === 'webm') {
+            const stream = cv.captureStream(0);
+            track = stream.getVideoTracks()[0];
+            mediaRecorder = new MediaRecorder(stream, {
+                mimeType: webmType(),
+                videoBitsPerSecond: bitrate,
+            });
+            mediaRecorder.ondataavailable = (e) => chunks.push(e.data);
+            mediaRecorder.start();
+        }
+    }
+
+    /**
+     * Agrega el fotograma actual del canvas a la grabación
+     * @returns {Promise<Blob>|undefined} Si es el último fotograma, la promesa de stop()
+     */
+    function capture() {
+        if (!recording) return;
+        const index = count++;
+        if (format === 'webm') {
+            track.requestFrame();
+        } else {
+            pngFrames.push(
+                canvasToBlob(cv).then(async (blob) => ({
+                    name: `${filename}-${String(index).padStart(5, '0')}.png`,
+                    data: new Uint8Array(await blob.arrayBuffer()),
+                })),
+            );
+        }
+        if (count >= total) {
+            return stop();
+        }
+    }
+
+    /**
+     * Termina la grabación y genera el archivo
+     * @returns {Promise<Blob>} Zip de PNGs o video WebM
+     */
+    async function stop() {
+        if (!recording) return null;
+        recording = false;
+        let blob;
+        if (format === 'webm') {
+            blob = await new Promise((resolve) => {
+                mediaRecorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+                mediaRecorder.stop();
+            });
+            track.stop();
+        } else {
+            blob = createZip(await Promise.all(pngFrames));
+            pngFrames = [];
+        }
+        if (save) {
+            saveFile(blob, `${filename}.${format === 'webm' ? 'webm' : 'zip'}`);
+        }
+        onComplete?.(blob);
+        return blob;
+    }
+
+    return {
+        start,
+        capture,
+        stop,
+        isRecording: () => recording,
+        get frameCount() {
+            return count;
+        },
+    };
+}
@@ -0,0 +1,495 @@
+import { saveFile } from './ascanvas2d.func.js';
+import { arcSweep } from './ascanvas2d.math.js';
+
+/**
+ * Formatea un número para el documento SVG (máximo 3 decimales)
+ * @param {number} n - Número
+ * @returns {string} Número formateado
+ */
+function num(n) {
+    return String(+n.toFixed(3));
+}
+
+/**
+ * Escapa un texto para usarlo dentro de un atributo o nodo XML
+ * @param {string} s - Texto
+ * @returns {string} Texto escapado
+ */
+function escapeXML(s) {
+    return String(s)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Multiplica dos matrices afines [a, b, c, d, e, f]
+ * @param {number[]} m - Matriz actual
+ * @param {number[]} n - Matriz a aplicar
+ * @returns {number[]} m × n
+ */
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5],
+    ];
+}
+
+/**
+ * Separa un color CSS con alfa en color y opacidad, que SVG 1.1 no soporta juntos
+ * @param {string} c - Color normalizado por el contexto
+ * @returns {{color: string, opacity: number}} Color sin alfa y opacidad
+ */
+function splitAlpha(c) {
+    if (c === 'transparent') {
+        return { color: 'none', opacity: 0 };
+    }
+    const m = /^rgba\(\s*(\d+),\s*(\d+),\s*(\d+),\s*([\d.]+)\s*\)$/.exec(c);
+    if (m) {
+        return { color: `rgb(${m[1]},${m[2]},${m[3]})`, opacity: +m[4] };
+    }
+    return { color: c, opacity: 1 };
+}
+
+/**
+ * Crea un contexto que dibuja en el contexto real y al mismo tiempo graba las
+ * operaciones como elementos SVG. Los puntos se guardan ya transformados
+ * (coordenadas absolutas) y los arcos se convierten a curvas bezier, por lo
+ * que cualquier combinación de translate/rotate/scale se conserva.
+ * @param {CanvasRenderingContext2D} ctx - Contexto real
+ * @param {number} resolution - Resolución del canvas
+ * @returns {Object} {context, elements, defs}
+ */
+function createRecordingContext(ctx, resolution) {
+    const elements = [];
+    const defs = [];
+    const gradients = new WeakMap();
+    const stack = [];
+
+    // La matriz grabada está en unidades de dibujo: se descarta la escala de resolución
+    const t = ctx.getTransform();
+    let state = {
+        m: [t.a, t.b, t.c, t.d, t.e, t.f].map((v) => v / resolution),
+        dash: [],
+    };
+    let path = [];
+    let current = null;
+    let subpathStart = null;
+    let last = null;
+
+    function point(x, y) {
+        const m = state.m;
+        return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+    }
+    function moveTo(x, y) {
+        current = subpathStart = point(x, y);
+        path.push(`M${num(current[0])} ${num(current[1])}`);
+    }
+    function lineTo(x, y) {
+        if (!current) return moveTo(x, y);
+        current = point(x, y);
+        path.push(`L${num(current[0])} ${num(current[1])}`);
+    }
+    function curve(...pts) {
+        const p = [];
+        for (let i = 0; i < pts.length; i += 2) p.push(...point(pts[i], pts[i + 1]));
+        current = [p[p.length - 2], p[p.length - 1]];
+        path.push((p.length === 4 ? 'Q' : 'C') + p.map(num).join(' '));
+    }
+    function ellipse(x, y, rx, ry, rotation, start, end, ccw = false) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        // Punto relativo al centro, rotado, en el espacio del usuario
+        const at = (px, py) => [x + px * cos - py * sin, y + px * sin + py * cos];
+        const sweep = arcSweep(start, end, ccw);
+        const p0 = at(rx * Math.cos(start), ry * Math.sin(start));
+        if (current) lineTo(...p0);
+        else moveTo(...p0);
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+        const delta = sweep / segments;
+        const k = (4 / 3) * Math.tan(delta / 4);
+        let a = start;
+        for (let i = 0; i < segments; i++) {
+            const b = a + delta;
+            const ca = Math.cos(a), sa = Math.sin(a);
+            const cb = Math.cos(b), sb = Math.sin(b);
+            curve(
+                ...at(rx * (ca - k * sa), ry * (sa + k * ca)),
+                ...at(rx * (cb + k * sb), ry * (sb - k * cb)),
+                ...at(rx * cb, ry * sb),
+            );
+            a = b;
+        }
+    }
+
+    /**
+     * Agrega la definición de un degradado y retorna su referencia
+     * Se reutiliza la definición si el degradado ya se usó con la misma transformación
+     * @param {CanvasGradient} grad - Degradado creado con el contexto
+     * @returns {string} url(#id) o 'none' si no fue grabado
+     */
+    function paint(grad) {
+        const info = gradients.get(grad);
+        if (!info) return 'none';
+        const m = state.m.map(num).join(' ');
+        // Los pasos agregados después de usarlo cambian el degradado
+        const key = m + '|' + info.stops.length;
+        if (info.ids.has(key)) return `url(#${info.ids.get(key)})`;
+        const id = 'g' + defs.length;
+        info.ids.set(key, id);
+        // El canvas ordena los pasos por posición (sort es estable: se mantiene el orden de los iguales)
+        // y SVG no acepta posiciones decrecientes
+        const stops = [...info.stops]
+            .sort((s1, s2) => s1[0] - s2[0])
+            .map(([o, c]) => {
+                const { color, opacity } = splitAlpha(c);
+                return `<stop offset="${num(o)}" stop-color="${color}"${opacity < 1 ? ` stop-opacity="${num(opacity)}"` : ''}/>`;
+            })
+            .join('');
+        const a = info.args.map(num);
+        if (info.type === 'linear') {
+            defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${a[0]}" y1="${a[1]}" x2="${a[2]}" y2="${a[3]}" gradientTransform="matrix(${m})">${stops}</linearGradient>`);
+        } else {
+            defs.push(`<radialGradient id="${id}" gradientUnits="userSpaceOnUse" fx="${a[0]}" fy="${a[1]}" fr="${a[2]}" cx="${a[3]}" cy="${a[4]}" r="${a[5]}" gradientTransform="matrix(${m})">${stops}</radialGradient>`);
+        }
+        return `url(#${id})`;
+    }
+
+    /**
+     * Convierte un estilo de relleno o trazo en atributos SVG
+     * @param {string|CanvasGradient} style - Estilo del contexto
+     * @param {string} name - 'fill' o 'stroke'
+     * @returns {Object|null} Atributos, o null si es totalmente transparente
+     */
+    function paintAttrs(style, name) {
+        if (typeof style !== 'string') {
+            return { [name]: paint(style) };
+        }
+        const { color, opacity } = splitAlpha(style);
+        if (opacity === 0) return null;
+        const attrs = { [name]: color };
+        if (opacity < 1) attrs[name + '-opacity'] = num(opacity);
+        return attrs;
+    }
+
+    function strokeAttrs() {
+        const paintStroke = paintAttrs(ctx.strokeStyle, 'stroke');
+        if (!paintStroke) return null;
+        const m = state.m;
+        const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        const attrs = { ...paintStroke, 'stroke-width': num(ctx.lineWidth * scale) };
+        if (ctx.lineCap !== 'butt') attrs['stroke-linecap'] = ctx.lineCap;
+        if (ctx.lineJoin !== 'miter') attrs['stroke-linejoin'] = ctx.lineJoin;
+        if (state.dash.length) {
+            attrs['stroke-dasharray'] = state.dash.map((v) => num(v * scale)).join(' ');
+            if (ctx.lineDashOffset) attrs['stroke-dashoffset'] = num(ctx.lineDashOffset * scale);
+        }
+        return attrs;
+    }
+
+    function commonAttrs() {
+        return ctx.globalAlpha < 1 ? { opacity: num(ctx.globalAlpha) } : {};
+    }
+
+    function fill(rule) {
+        const attrs = paintAttrs(ctx.fillStyle, 'fill');
+        const d = path.join('');
+        if (!attrs || !d) return;
+        if (rule === 'evenodd') attrs['fill-rule'] = 'evenodd';
+        last = { tag: 'path', attrs: { d, ...attrs, stroke: 'none', ...commonAttrs() } };
+        elements.push(last);
+    }
+    function stroke() {
+        const attrs = strokeAttrs();
+        const d = path.join('');
+        if (!attrs || !d) return;
+        // fill() seguido de stroke() sobre el mismo trazado genera un solo elemento
+        if (last && last.attrs.d === d && last.attrs.stroke === 'none') {
+            Object.assign(last.attrs, attrs);
+            last = null;
+            return;
+        }
+        last = null;
+        elements.push({ tag: 'path', attrs: { d, fill: 'none', ...attrs, ...commonAttrs() } });
+    }
+    /**
+     * Graba un texto dibujado con fillText o strokeText
+     * @param {string} text - Texto
+     * @param {number} x - Posición X
+     * @param {number} y - Posición Y
+     * @param {Object} attrs - Atributos de relleno o trazo
+     * @param {boolean} isStroke - true si es strokeText
+     */
+    function text(text, x, y, attrs, isStroke) {
+        const anchors = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+        const baselines = {
+            top: 'text-before-edge',
+            hanging: 'hanging',
+            middle: 'central',
+            alphabetic: 'alphabetic',
+            ideographic: 'ideographic',
+            bottom: 'text-after-edge',
+        };
+        const base = {
+            x: num(x),
+            y: num(y),
+            transform: `matrix(${state.m.map(num).join(' ')})`,
+            style: `font: ${ctx.font}`,
+            'text-anchor': anchors[ctx.textAlign] ?? 'start',
+            'dominant-baseline': baselines[ctx.textBaseline] ?? 'alphabetic',
+        };
+        // fillText() seguido de strokeText() del mismo texto genera un solo elemento
+        if (isStroke && last?.tag === 'text' && last.text === String(text) &&
+            last.attrs.x === base.x && last.attrs.y === base.y && last.attrs.stroke === 'none') {
+            Object.assign(last.attrs, attrs);
+            last = null;
+            return;
+        }
+        last = {
+            tag: 'text',
+            text: String(text),
+            attrs: { ...base, fill: 'none', stroke: 'none', ...attrs, ...commonAttrs() },
+        };
+        elements.push(last);
+        if (isStroke) last = null;
+    }
+    function withPath(build, paintFn) {
+        const saved = [path, current, subpathStart];
+        path = [];
+        current = null;
+        build();
+        paintFn();
+        [path, current, subpathStart] = saved;
+    }
+    function rectPath(x, y, w, h) {
+        moveTo(x, y);
+        lineTo(x + w, y);
+        lineTo(x + w, y + h);
+        lineTo(x, y + h);
+        path.push('Z');
+        current = subpathStart;
+    }
+    function gradient(type, args, grad) {
+        const info = { type, args, stops: [], ids: new Map() };
+        gradients.set(grad, info);
+        const addColorStop = grad.addColorStop.bind(grad);
+        grad.addColorStop = (offset, color) => {
+            addColorStop(offset, color);
+            info.stops.push([Number(offset), String(color)]);
+        };
+        return grad;
+    }
+
+    const handlers = {
+        save() {
+            ctx.save();
+            stack.push(state);
+            state = { ...state };
+        },
+        restore() {
+            ctx.restore();
+            if (stack.length) state = stack.pop();
+        },
+        translate(x, y) {
+            ctx.translate(x, y);
+            state.m = multiply(state.m, [1, 0, 0, 1, x, y]);
+        },
+        rotate(a) {
+            ctx.rotate(a);
+            const c = Math.cos(a), s = Math.sin(a);
+            state.m = multiply(state.m, [c, s, -s, c, 0, 0]);
+        },
+        scale(x, y) {
+            ctx.scale(x, y);
+            state.m = multiply(state.m, [x, 0, 0, y, 0, 0]);
+        },
+        transform(a, b, c, d, e, f) {
+            ctx.transform(a, b, c, d, e, f);
+            state.m = multiply(state.m, [a, b, c, d, e, f]);
+        },
+        setTransform(...args) {
+            ctx.setTransform(...args);
+            const t = ctx.getTransform();
+            state.m = [t.a, t.b, t.c, t.d, t.e, t.f].map((v) => v / resolution);
+        },
+        resetTransform() {
+            ctx.resetTransform();
+            state.m = [1, 0, 0, 1, 0, 0].map((v) => v / resolution);
+        },
+        setLineDash(segments) {
+            ctx.setLineDash(segments);
+            state.dash = [...segments];
+        },
+        beginPath() {
+            ctx.beginPath();
+            path = [];
+            current = null;
+        },
+        closePath() {
+            ctx.closePath();
+            if (current) {
+                path.push('Z');
+                current = subpathStart;
+            }
+        },
+        moveTo(x, y) {
+            ctx.moveTo(x, y);
+            moveTo(x, y);
+        },
+        lineTo(x, y) {
+            ctx.lineTo(x, y);
+            lineTo(x, y);
+        },
+        quadraticCurveTo(cx, cy, x, y) {
+            ctx.quadraticCurveTo(cx, cy, x, y);
+            if (!current) moveTo(cx, cy);
+            curve(cx, cy, x, y);
+        },
+        bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+            ctx.bezierCurveTo(c1x, c1y, c2x, c2y, x, y);
+            if (!current) moveTo(c1x, c1y);
+            curve(c1x, c1y, c2x, c2y, x, y);
+        },
+        arc(...args) {
+            const [x, y, r, start, end, ccw] = args;
+            ctx.arc(...args);
+            ellipse(x, y, r, r, 0, start, end, ccw);
+        },
+        ellipse(...args) {
+            const [x, y, rx, ry, rotation, start, end, ccw] = args;
+            ctx.ellipse(...args);
+            ellipse(x, y, rx, ry, rotation, start, end, ccw);
+        },
+        rect(x, y, w, h) {
+            ctx.rect(x, y, w, h);
+            rectPath(x, y, w, h);
+        },
+        fill(...args) {
+            const [rule] = args;
+            ctx.fill(...args);
+            fill(rule);
+        },
+        stroke() {
+            ctx.stroke();
+            stroke();
+        },
+        fillRect(x, y, w, h) {
+            ctx.fillRect(x, y, w, h);
+            withPath(() => rectPath(x, y, w, h), fill);
+        },
+        strokeRect(x, y, w, h) {
+            ctx.strokeRect(x, y, w, h);
+            withPath(() => rectPath(x, y, w, h), stroke);
+        },
+        fillText(...args) {
+            ctx.fillText(...args);
+            const attrs = paintAttrs(ctx.fillStyle, 'fill');
+            if (attrs) text(args[0], args[1], args[2], attrs, false);
+        },
+        strokeText(...args) {
+            ctx.strokeText(...args);
+            const attrs = strokeAttrs();
+            if (!attrs) return;
+            // El texto se dibuja con su propia transformación: el ancho no se escala
+            attrs['stroke-width'] = num(ctx.lineWidth);
+            if (state.dash.length) attrs['stroke-dasharray'] = state.dash.map(num).join(' ');
+            if (ctx.lineDashOffset) attrs['stroke-dashoffset'] = num(ctx.lineDashOffset);
+            text(args[0], args[1], args[2], attrs, true);
+        },
+        createLinearGradient(...args) {
+            return gradient('linear', args, ctx.createLinearGradient(...args));
+        },
+        createRadialGradient(...args) {
+            return gradient('radial', args, ctx.createRadialGradient(...args));
+        },
+    };
+
+    const context = new Proxy(ctx, {
+        get(target, prop) {
+            if (Object.hasOwn(handlers, prop)) return handlers[prop];
+            const v = target[prop];
+            return typeof v === 'function' ? v.bind(target) : v;
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        },
+    });
+
+    return { context, elements, defs };
+}
+
+/**
+ * Comienza a grabar en SVG todo lo que se dibuja en el canvas con las funciones
+ * de ascanvas2d.func.js. El canvas se sigue dibujando normalmente.
+ * No se graban imágenes, sombras, recortes ni operaciones de píxeles. El texto
+ * se graba como elementos <text>, por lo que depende de las fuentes instaladas.
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ */
+export function beginSVG(cv) {
+    const ctx = cv.getContext('2d', { willReadFrequently: true });
+    const recording = createRecordingContext(ctx, cv.resolution ?? 1);
+    cv._svg = recording;
+    cv._context = recording.context;
+}
+
+/**
+ * Serializa lo grabado hasta el momento como documento SVG
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {string} Documento SVG
+ */
+export function toSVG(cv) {
+    if (!cv._svg) {
+        throw new Error('No hay una grabación SVG activa: llamar a beginSVG(cv) antes de dibujar');
+    }
+    const { elements, defs } = cv._svg;
+    const w = num(cv.width / (cv.resolution ?? 1));
+    const h = num(cv.height / (cv.resolution ?? 1));
+    const body = elements
+        .map(({ tag, attrs, text }) => {
+            const a = Object.entries(attrs)
+                .map(([k, v]) => `${k}="${escapeXML(v)}"`)
+                .join(' ');
+            return text === undefined ? `<${tag} ${a}/>` : `<${tag} ${a}>${escapeXML(text)}</${tag}>`;
+        })
+        .join('\n');
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+        defs.length ? `<defs>${defs.join('')}</defs>` : '',
+        body,
+        '</svg>',
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Termina la grabación SVG
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @returns {string} Documento SVG con lo grabado
+ */
+export function endSVG(cv) {
+    const svg = toSVG(cv);
+    delete cv._svg;
+    delete cv._context;
+    return svg;
+}
+
+/**
+ * Termina la grabación SVG y descarga el documento
+ * @param {HTMLCanvasElement} cv - Elemento canvas
+ * @param {string} [filename='file.svg'] - Nombre del archivo
+ * @returns {string} Documento SVG
+ * @example
+ * beginSVG(canvas);
+ * circle(100, 100, 50, canvas);
+ * saveSVG(canvas);
+ */
+export function saveSVG(cv, filename = 'file.svg') {
+    const svg = endSVG(cv);
+    saveFile(new Blob([svg], { type: 'image/svg+xml' }), filename);
+    return svg;
+}
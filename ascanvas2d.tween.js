@@ -0,0 +1,310 @@
+// Funciones de suavizado: reciben el progreso t (0 a 1) y retornan el valor suavizado
+// (0 a 1, back y elastic se salen del rango). Fórmulas de https://easings.net
+
+const c1 = 1.70158;
+const c2 = c1 * 1.525;
+const c3 = c1 + 1;
+const c4 = (2 * Math.PI) / 3;
+const c5 = (2 * Math.PI) / 4.5;
+
+/** Sin suavizado */
+export const linear = (t) => t;
+
+/** Sinusoidal: acelera */
+export const easeInSine = (t) => 1 - Math.cos((t * Math.PI) / 2);
+/** Sinusoidal: desacelera */
+export const easeOutSine = (t) => Math.sin((t * Math.PI) / 2);
+/** Sinusoidal: acelera y desacelera */
+export const easeInOutSine = (t) => -(Math.cos(Math.PI * t) - 1) / 2;
+
+/** Cuadrática: acelera */
+export const easeInQuad = (t) => t * t;
+/** Cuadrática: desacelera */
+export const easeOutQuad = (t) => 1 - (1 - t) * (1 - t);
+/** Cuadrática: acelera y desacelera */
+export const easeInOutQuad = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+/** Cúbica: acelera */
+export const easeInCubic = (t) => t * t * t;
+/** Cúbica: desacelera */
+export const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+/** Cúbica: acelera y desacelera */
+export const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+/** Cuártica: acelera */
+export const easeInQuart = (t) => t * t * t * t;
+/** Cuártica: desacelera */
+export const easeOutQuart = (t) => 1 - Math.pow(1 - t, 4);
+/** Cuártica: acelera y desacelera */
+export const easeInOutQuart = (t) => (t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2);
+
+/** Exponencial: acelera */
+export const easeInExpo = (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10));
+/** Exponencial: desacelera */
+export const easeOutExpo = (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t));
+/** Exponencial: acelera y desacelera */
+export const easeInOutExpo = (t) => {
+    if (t === 0 || t === 1) return t;
+    return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+};
+
+/** Retrocede antes de avanzar */
+export const easeInBack = (t) => c3 * t * t * t - c1 * t * t;
+/** Se pasa del final y vuelve */
+export const easeOutBack = (t) => 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+/** Retrocede al inicio y se pasa al final */
+export const easeInOutBack = (t) => (t < 0.5
+    ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+    : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2);
+
+/** Elástica: oscila al inicio */
+export const easeInElastic = (t) => {
+    if (t === 0 || t === 1) return t;
+    return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * c4);
+};
+/** Elástica: oscila al final */
+export const easeOutElastic = (t) => {
+    if (t === 0 || t === 1) return t;
+    return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
+};
+/** Elástica: oscila al inicio y al final */
+export const easeInOutElastic = (t) => {
+    if (t === 0 || t === 1) return t;
+    return t < 0.5
+        ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c5)) / 2
+        : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c5)) / 2 + 1;
+};
+
+/** Rebote: rebota al final */
+export const easeOutBounce = (t) => {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+};
+/** Rebote: rebota al inicio */
+export const easeInBounce = (t) => 1 - easeOutBounce(1 - t);
+/** Rebote: rebota al inicio y al final */
+export const easeInOutBounce = (t) => (t < 0.5
+    ? (1 - easeOutBounce(1 - 2 * t)) / 2
+    : (1 + easeOutBounce(2 * t - 1)) / 2);
+
+/**
+ * Progreso de un ciclo que se repite cada `period` milisegundos, para animaciones
+ * que cierran en un loop perfecto
+ * @param {number} period - Duración del ciclo en milisegundos
+ * @param {number} time - Tiempo actual en milisegundos (el `time` de draw)
+ * @returns {number} Progreso de 0 a < 1
+ * @example
+ * const t = loopProgress(4000, time);
+ * circle(200 + Math.cos(t * Math.PI * 2) * 100, 200, 20, canvas);
+ */
+export function loopProgress(period, time) {
+    return (((time % period) + period) % period) / period;
+}
+
+/**
+ * Crea una animación: una secuencia de interpolaciones sobre propiedades numéricas
+ * @param {Object} options - Ver timeline() en createTweens
+ * @returns {Object} Animación con los métodos públicos y advance(dt) para el gestor
+ */
+function createAnimation({ delay = 0, repeat = 0, yoyo = false, onUpdate, onComplete } = {}) {
+    const entries = [];
+    let cursor = 0;
+    let duration = 0;
+    let elapsed = 0;
+    let lastIteration = 0;
+    let finished = false;
+
+    const animation = {
+        to,
+        wait,
+        stop,
+        isFinished: () => finished,
+        get duration() {
+            return duration;
+        },
+    };
+
+    /**
+     * Agrega una interpolación a la secuencia
+     * @param {Object} target - Objeto a animar
+     * @param {Object} props - Valores finales {propiedad: número}
+     * @param {number} ms - Duración en milisegundos
+     * @param {Function} [easing=easeInOutQuad] - Función de suavizado
+     * @param {number} [at] - Inicio en milisegundos desde el comienzo de la secuencia.
+     *   Por defecto, al terminar la interpolación anterior
+     * @returns {Object} La misma animación, para encadenar
+     */
+    function to(target, props, ms, easing = easeInOutQuad, at = cursor) {
+        for (const key of Object.keys(props)) {
+            if (typeof target[key] !== 'number') {
+                throw new Error(`La propiedad ${key} no es un número`);
+            }
+        }
+        entries.push({ target, props, start: at, ms, easing, from: null });
+        // Se aplican en orden de inicio para que la última en comenzar tenga prioridad
+        entries.sort((a, b) => a.start - b.start);
+        cursor = at + ms;
+        duration = Math.max(duration, cursor);
+        return animation;
+    }
+
+    /**
+     * Agrega una pausa al final de la secuencia
+     * @param {number} ms - Duración de la pausa en milisegundos
+     * @returns {Object} La misma animación, para encadenar
+     */
+    function wait(ms) {
+        cursor += ms;
+        duration = Math.max(duration, cursor);
+        return animation;
+    }
+
+    /**
+     * Detiene la animación dejando las propiedades en su valor actual. No llama a onComplete
+     */
+    function stop() {
+        finished = true;
+    }
+
+    /**
+     * Aplica el estado de la secuencia en el instante t
+     * @param {number} t - Milisegundos desde el comienzo de la secuencia
+     */
+    function render(t) {
+        // Las que aún no comenzaron vuelven a su valor inicial (al repetir o en el regreso del yoyo).
+        // En orden inverso, para que en una misma propiedad quede el de la primera en comenzar
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const e = entries[i];
+            if (e.start <= t || !e.from) continue;
+            for (const key of Object.keys(e.props)) e.target[key] = e.from[key];
+        }
+        for (const e of entries) {
+            if (e.start > t) break;
+            // Los valores iniciales se toman al comenzar, así continúan desde la interpolación anterior
+            if (!e.from) {
+                e.from = {};
+                for (const key of Object.keys(e.props)) e.from[key] = e.target[key];
+            }
+            const p = e.ms > 0 ? Math.min((t - e.start) / e.ms, 1) : 1;
+            const k = e.easing(p);
+            for (const key of Object.keys(e.props)) {
+                e.target[key] = e.from[key] + (e.props[key] - e.from[key]) * k;
+            }
+        }
+    }
+
+    /**
+     * Avanza la animación
+     * @param {number} dt - Milisegundos desde el fotograma anterior
+     * @returns {boolean} true si la animación terminó
+     */
+    function advance(dt) {
+        if (finished) return true;
+        elapsed += dt;
+        if (elapsed < delay) return false;
+        const t = elapsed - delay;
+        const total = duration * (repeat + 1);
+        const done = t >= total;
+        let iteration = 0;
+        let local = duration;
+        if (done) {
+            iteration = repeat;
+        } else if (duration > 0) {
+            iteration = Math.floor(t / duration);
+            local = t - iteration * duration;
+        }
+        if (iteration !== lastIteration) {
+            // El fotograma que cruza el fin de una repetición la completa antes de comenzar la siguiente
+            render(yoyo && lastIteration % 2 === 1 ? 0 : duration);
+            lastIteration = iteration;
+        }
+        if (yoyo && iteration % 2 === 1) local = duration - local;
+        render(local);
+        onUpdate?.(duration > 0 ? local / duration : 1);
+        if (done) {
+            finished = true;
+            onComplete?.();
+        }
+        return done;
+    }
+
+    return { animation, advance };
+}
+
+/**
+ * Crea un gestor de animaciones avanzado por un reloj. ascanvas2d() crea uno por sketch,
+ * lo avanza antes de cada draw y entrega `tween` y `timeline` a setup y draw
+ * @returns {Object} Gestor:
+ *   - tween(target, props, duration, easing, options): anima propiedades numéricas de un objeto
+ *   - timeline(options): crea una secuencia vacía para agregar interpolaciones con to() y wait()
+ *   - update(dt): avanza todas las animaciones dt milisegundos
+ *   - clear(): descarta todas las animaciones
+ * @example
+ * const tweens = createTweens();
+ * const ball = { x: 0, r: 10 };
+ * tweens.tween(ball, { x: 300 }, 1000, easeOutBounce);
+ * tweens.timeline({ repeat: Infinity, yoyo: true })
+ *     .to(ball, { r: 40 }, 500, easeOutBack)
+ *     .wait(200)
+ *     .to(ball, { r: 10 }, 500);
+ * // en cada fotograma:
+ * tweens.update(deltaTime);
+ */
+export function createTweens() {
+    let running = [];
+
+    /**
+     * Crea una secuencia de interpolaciones que comienza a avanzar en el siguiente update
+     * @param {Object} [options]
+     * @param {number} [options.delay=0] - Espera antes de comenzar, en milisegundos
+     * @param {number} [options.repeat=0] - Repeticiones adicionales (Infinity para siempre)
+     * @param {boolean} [options.yoyo=false] - Las repeticiones impares se reproducen hacia atrás
+     * @param {Function} [options.onUpdate] - Se llama en cada fotograma con el progreso de la repetición (0 a 1)
+     * @param {Function} [options.onComplete] - Se llama al terminar
+     * @returns {Object} Secuencia con to(target, props, ms, easing, at), wait(ms), stop(),
+     *   isFinished() y duration
+     */
+    function timeline(options) {
+        const { animation, advance } = createAnimation(options);
+        running.push(advance);
+        return animation;
+    }
+
+    /**
+     * Anima propiedades numéricas de un objeto desde su valor actual
+     * @param {Object} target - Objeto a animar
+     * @param {Object} props - Valores finales {propiedad: número}
+     * @param {number} duration - Duración en milisegundos
+     * @param {Function} [easing=easeInOutQuad] - Función de suavizado
+     * @param {Object} [options] - Opciones de timeline(): delay, repeat, yoyo, onUpdate, onComplete
+     * @returns {Object} La animación. Con to() se le pueden encadenar más interpolaciones
+     */
+    function tween(target, props, duration, easing, options) {
+        return timeline(options).to(target, props, duration, easing);
+    }
+
+    /**
+     * Avanza todas las animaciones y descarta las terminadas
+     * @param {number} dt - Milisegundos desde la llamada anterior
+     */
+    function update(dt) {
+        const step = Math.max(dt, 0);
+        const current = running;
+        // Las animaciones creadas durante el update (por ejemplo en onComplete) comienzan en el siguiente
+        running = [];
+        running = current.filter((advance) => !advance(step)).concat(running);
+    }
+
+    /**
+     * Descarta todas las animaciones
+     */
+    function clear() {
+        running = [];
+    }
+
+    return { tween, timeline, update, clear };
+}
@@ -61,41 +61,298 @@ function _createRandom(seed = "") {
 }
 /**
  * Crea un generador de números aleatorios con semilla opcional
+ *
+ * Además de la función principal, el generador incluye distribuciones y
+ * utilidades de muestreo que usan la misma secuencia, por lo que los
+ * resultados son reproducibles con la misma semilla.
+ *
  * @param {string} [seed=""] - Semilla para la generación determinística
  * @returns {Function} Función que genera números aleatorios:
  *   - Sin argumentos: retorna 0 a < 1
  *   - Con argumentos (a, b): retorna a a < b
+ *   - random.gaussian(mean, sd), random.exponential(lambda)
+ *   - random.int(min, max), random.pick(arr), random.weighted(items, weights), random.shuffle(arr)
+ *   - random.inCircle(r), random.onSphere(r), random.poissonDisc(w, h, radius, k)
+ *   - random.fork(name): generador independiente derivado de la semilla
  * @example
  * const random = createRandom("miSemilla");
  * random() // 0.123...
  * random(5, 15) // 8.456...
+ * random.gaussian(0, 10) // -3.21...
+ * random.pick(["a", "b", "c"]) // "b"
  */
 export function createRandom(seed = "") {
 	let r = _createRandom(seed);
-	return function (a, b) {
+	function random(a, b) {
 		if (arguments.length == 0) {
 			return r();
 		}
 		return r() * (b - a) + a;
+	}
+	/**
+	 * Distribución normal (Box-Muller)
+	 * @param {number} [mean=0] - Media
+	 * @param {number} [sd=1] - Desviación estándar
+	 * @returns {number} Valor aleatorio
+	 */
+	random.gaussian = function (mean = 0, sd = 1) {
+		// 1 - r() evita log(0)
+		const u = 1 - r();
+		const v = r();
+		return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+	};
+	/**
+	 * Distribución exponencial
+	 * @param {number} [lambda=1] - Tasa (la media es 1 / lambda)
+	 * @returns {number} Valor aleatorio >= 0
+	 */
+	random.exponential = function (lambda = 1) {
+		return -Math.log(1 - r()) / lambda;
+	};
+	/**
+	 * Entero aleatorio entre min y max (ambos incluidos)
+	 * @param {number} min - Mínimo
+	 * @param {number} max - Máximo
+	 * @returns {number} Entero aleatorio
+	 */
+	random.int = function (min, max) {
+		return Math.floor(r() * (Math.floor(max) - Math.ceil(min) + 1)) + Math.ceil(min);
+	};
+	/**
+	 * Elige un elemento de un array
+	 * @param {Array} arr - Array de opciones
+	 * @returns {*} Elemento elegido (undefined si el array está vacío)
+	 */
+	random.pick = function (arr) {
+		return arr[Math.floor(r() * arr.length)];
 	};
+	/**
+	 * Elige un elemento según su peso
+	 * @param {Array} items - Opciones
+	 * @param {number[]} weights - Peso de cada opción (no necesitan sumar 1)
+	 * @returns {*} Elemento elegido
+	 * @example
+	 * random.weighted(["común", "raro"], [9, 1])
+	 */
+	random.weighted = function (items, weights) {
+		const total = weights.reduce((s, w) => s + w, 0);
+		let t = r() * total;
+		for (let i = 0; i < items.length; i++) {
+			t -= weights[i];
+			if (t < 0) return items[i];
+		}
+		return items[items.length - 1];
+	};
+	/**
+	 * Mezcla un array (Fisher-Yates)
+	 * @param {Array} arr - Array de entrada (no se modifica)
+	 * @returns {Array} Copia mezclada
+	 */
+	random.shuffle = function (arr) {
+		const out = [...arr];
+		for (let i = out.length - 1; i > 0; i--) {
+			const j = Math.floor(r() * (i + 1));
+			const aux = out[i];
+			out[i] = out[j];
+			out[j] = aux;
+		}
+		return out;
+	};
+	/**
+	 * Punto aleatorio uniforme dentro de un círculo centrado en el origen
+	 * @param {number} [radius=1] - Radio
+	 * @returns {[number, number]} Punto [x, y]
+	 */
+	random.inCircle = function (radius = 1) {
+		const a = r() * Math.PI * 2;
+		const d = Math.sqrt(r()) * radius;
+		return [Math.cos(a) * d, Math.sin(a) * d];
+	};
+	/**
+	 * Punto aleatorio uniforme sobre la superficie de una esfera centrada en el origen
+	 * @param {number} [radius=1] - Radio
+	 * @returns {[number, number, number]} Punto [x, y, z]
+	 */
+	random.onSphere = function (radius = 1) {
+		const z = r() * 2 - 1;
+		const a = r() * Math.PI * 2;
+		const d = Math.sqrt(1 - z * z) * radius;
+		return [Math.cos(a) * d, Math.sin(a) * d, z * radius];
+	};
+	/**
+	 * Muestreo de Poisson-disc (Bridson) sobre un rectángulo: puntos
+	 * distribuidos al azar pero separados al menos por `radius`
+	 * @param {number} width - Ancho del área
+	 * @param {number} height - Alto del área
+	 * @param {number} radius - Distancia mínima entre puntos
+	 * @param {number} [k=30] - Intentos por punto antes de descartarlo
+	 * @returns {Array<[number, number]>} Puntos [x, y]
+	 */
+	random.poissonDisc = function (width, height, radius, k = 30) {
+		const cell = radius / Math.SQRT2;
+		const cols = Math.ceil(width / cell);
+		const rows = Math.ceil(height / cell);
+		// Índice del punto en cada celda (-1 = vacía)
+		const grid = new Int32Array(cols * rows).fill(-1);
+		const points = [];
+		const active = [];
+		function add(x, y) {
+			grid[Math.floor(y / cell) * cols + Math.floor(x / cell)] = points.length;
+			active.push(points.length);
+			points.push([x, y]);
+		}
+		function fits(x, y) {
+			const cx = Math.floor(x / cell);
+			const cy = Math.floor(y / cell);
+			for (let j = Math.max(0, cy - 2); j <= Math.min(rows - 1, cy + 2); j++) {
+				for (let i = Math.max(0, cx - 2); i <= Math.min(cols - 1, cx + 2); i++) {
+					const p = points[grid[j * cols + i]];
+					if (p && (p[0] - x) ** 2 + (p[1] - y) ** 2 < radius * radius) {
+						return false;
+					}
+				}
+			}
+			return true;
+		}
+		add(r() * width, r() * height);
+		while (active.length) {
+			const a = Math.floor(r() * active.length);
+			const [px, py] = points[active[a]];
+			let found = false;
+			for (let n = 0; n < k; n++) {
+				const angle = r() * Math.PI * 2;
+				const d = radius * (1 + r());
+				const x = px + Math.cos(angle) * d;
+				const y = py + Math.sin(angle) * d;
+				if (x >= 0 && x < width && y >= 0 && y < height && fits(x, y)) {
+					add(x, y);
+					found = true;
+					break;
+				}
+			}
+			if (!found) {
+				active[a] = active[active.length - 1];
+				active.pop();
+			}
+		}
+		return points;
+	};
+	/**
+	 * Crea un generador independiente derivado de la semilla
+	 *
+	 * Útil para separar partes del sketch: agregar llamadas en un generador
+	 * derivado no altera los valores del resto.
+	 *
+	 * @param {string} name - Nombre del sub-generador
+	 * @returns {Function} Nuevo generador (sin semilla si el original no la tiene)
+	 * @example
+	 * const colors = random.fork("colores");
+	 * const shapes = random.fork("formas");
+	 */
+	random.fork = function (name) {
+		return createRandom(seed === "" ? "" : `${seed}:${name}`);
+	};
+	return random;
 }
 /**
- * Implementación de Simplex Noise 3D
+ * Implementación de Simplex Noise 2D, 3D y 4D
  * Basado en el trabajo de Jonas Wagner
- * Genera ruido coherente tridimensional para aplicaciones gráficas
+ * Genera ruido coherente para aplicaciones gráficas
  */
 
+/** Factor de deformación para 2D */
+const F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
+/** Factor de deformación gradiente para 2D */
+const G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
 /** Factor de deformación para 3D */
 const F3 = 1.0 / 3.0;
 /** Factor de deformación gradiente para 3D */
 const G3 = 1.0 / 6.0;
+/** Factor de deformación para 4D */
+const F4 = (Math.sqrt(5.0) - 1.0) / 4.0;
+/** Factor de deformación gradiente para 4D */
+const G4 = (5.0 - Math.sqrt(5.0)) / 20.0;
 /** Función optimizada para calcular el piso de un número */
 const fastFloor = (x) => Math.floor(x) | 0;
+/** Tabla de gradientes para simplex noise 2D */
+const grad2 = new Float64Array([
+	1, 1, -1, 1, 1, -1, -1, -1, 1, 0, -1, 0, 1, 0, -1, 0, 0, 1, 0, -1, 0, 1, 0,
+	-1,
+]);
 /** Tabla de gradientes para simplex noise 3D */
 const grad3 = new Float64Array([
 	1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0, 1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0,
 	-1, 0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1,
 ]);
+/** Tabla de gradientes para simplex noise 4D */
+const grad4 = new Float64Array([
+	0, 1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1, 0, -1, 1, 1, 0, -1, 1,
+	-1, 0, -1, -1, 1, 0, -1, -1, -1, 1, 0, 1, 1, 1, 0, 1, -1, 1, 0, -1, 1, 1, 0,
+	-1, -1, -1, 0, 1, 1, -1, 0, 1, -1, -1, 0, -1, 1, -1, 0, -1, -1, 1, 1, 0, 1,
+	1, 1, 0, -1, 1, -1, 0, 1, 1, -1, 0, -1, -1, 1, 0, 1, -1, 1, 0, -1, -1, -1,
+	0, 1, -1, -1, 0, -1, 1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1, 0, -1,
+	1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1, 0,
+]);
+
+/**
+ * Crea un generador de ruido Simplex 2D
+ * @param {Function} [random=Math.random] - Función generadora de números aleatorios
+ * @returns {Function} Función de ruido que acepta coordenadas (x, y) y retorna un valor entre -1 y 1
+ * @example
+ * const noise2D = createNoise2D(createRandom("miSemilla"));
+ * const valor = noise2D(x, y); // -1 a 1
+ */
+export function createNoise2D(random = Math.random) {
+	const perm = buildPermutationTable(random);
+	const permGrad2x = new Float64Array(perm).map((v) => grad2[(v % 12) * 2]);
+	const permGrad2y = new Float64Array(perm).map(
+		(v) => grad2[(v % 12) * 2 + 1],
+	);
+	/**
+	 * Función de ruido Simplex 2D
+	 * @param {number} x - Coordenada X
+	 * @param {number} y - Coordenada Y
+	 * @returns {number} Valor de ruido entre -1 y 1
+	 */
+	return function noise2D(x, y) {
+		let n0 = 0;
+		let n1 = 0;
+		let n2 = 0;
+		const s = (x + y) * F2;
+		const i = fastFloor(x + s);
+		const j = fastFloor(y + s);
+		const t = (i + j) * G2;
+		const x0 = x - (i - t);
+		const y0 = y - (j - t);
+		const i1 = x0 > y0 ? 1 : 0;
+		const j1 = 1 - i1;
+		const x1 = x0 - i1 + G2;
+		const y1 = y0 - j1 + G2;
+		const x2 = x0 - 1.0 + 2.0 * G2;
+		const y2 = y0 - 1.0 + 2.0 * G2;
+		const ii = i & 255;
+		const jj = j & 255;
+		let t0 = 0.5 - x0 * x0 - y0 * y0;
+		if (t0 >= 0) {
+			const gi0 = ii + perm[jj];
+			t0 *= t0;
+			n0 = t0 * t0 * (permGrad2x[gi0] * x0 + permGrad2y[gi0] * y0);
+		}
+		let t1 = 0.5 - x1 * x1 - y1 * y1;
+		if (t1 >= 0) {
+			const gi1 = ii + i1 + perm[jj + j1];
+			t1 *= t1;
+			n1 = t1 * t1 * (permGrad2x[gi1] * x1 + permGrad2y[gi1] * y1);
+		}
+		let t2 = 0.5 - x2 * x2 - y2 * y2;
+		if (t2 >= 0) {
+			const gi2 = ii + 1 + perm[jj + 1];
+			t2 *= t2;
+			n2 = t2 * t2 * (permGrad2x[gi2] * x2 + permGrad2y[gi2] * y2);
+		}
+		return 70.0 * (n0 + n1 + n2);
+	};
+}
 
 /**
  * Crea un generador de ruido Simplex 3D
@@ -246,6 +503,291 @@ export function createNoise3D(random = Math.random) {
 		return 32.0 * (n0 + n1 + n2 + n3);
 	};
 }
+/**
+ * Crea un generador de ruido Simplex 4D
+ *
+ * La cuarta dimensión permite animaciones que se repiten sin cortes
+ * recorriendo un círculo en (z, w). Ver loopNoise().
+ *
+ * @param {Function} [random=Math.random] - Función generadora de números aleatorios
+ * @returns {Function} Función de ruido que acepta coordenadas (x, y, z, w) y retorna un valor entre -1 y 1
+ * @example
+ * const noise4D = createNoise4D();
+ * const valor = noise4D(x, y, z, w); // -1 a 1
+ */
+export function createNoise4D(random = Math.random) {
+	const perm = buildPermutationTable(random);
+	const permGrad4x = new Float64Array(perm).map((v) => grad4[(v % 32) * 4]);
+	const permGrad4y = new Float64Array(perm).map(
+		(v) => grad4[(v % 32) * 4 + 1],
+	);
+	const permGrad4z = new Float64Array(perm).map(
+		(v) => grad4[(v % 32) * 4 + 2],
+	);
+	const permGrad4w = new Float64Array(perm).map(
+		(v) => grad4[(v % 32) * 4 + 3],
+	);
+	/**
+	 * Función de ruido Simplex 4D
+	 * @param {number} x - Coordenada X
+	 * @param {number} y - Coordenada Y
+	 * @param {number} z - Coordenada Z
+	 * @param {number} w - Coordenada W
+	 * @returns {number} Valor de ruido entre -1 y 1
+	 */
+	return function noise4D(x, y, z, w) {
+		let n0, n1, n2, n3, n4;
+		const s = (x + y + z + w) * F4;
+		const i = fastFloor(x + s);
+		const j = fastFloor(y + s);
+		const k = fastFloor(z + s);
+		const l = fastFloor(w + s);
+		const t = (i + j + k + l) * G4;
+		const x0 = x - (i - t);
+		const y0 = y - (j - t);
+		const z0 = z - (k - t);
+		const w0 = w - (l - t);
+		// Orden de las coordenadas para elegir el simplex que contiene al punto
+		let rankx = 0;
+		let ranky = 0;
+		let rankz = 0;
+		let rankw = 0;
+		if (x0 > y0) rankx++;
+		else ranky++;
+		if (x0 > z0) rankx++;
+		else rankz++;
+		if (x0 > w0) rankx++;
+		else rankw++;
+		if (y0 > z0) ranky++;
+		else rankz++;
+		if (y0 > w0) ranky++;
+		else rankw++;
+		if (z0 > w0) rankz++;
+		else rankw++;
+		const i1 = rankx >= 3 ? 1 : 0;
+		const j1 = ranky >= 3 ? 1 : 0;
+		const k1 = rankz >= 3 ? 1 : 0;
+		const l1 = rankw >= 3 ? 1 : 0;
+		const i2 = rankx >= 2 ? 1 : 0;
+		const j2 = ranky >= 2 ? 1 : 0;
+		const k2 = rankz >= 2 ? 1 : 0;
+		const l2 = rankw >= 2 ? 1 : 0;
+		const i3 = rankx >= 1 ? 1 : 0;
+		const j3 = ranky >= 1 ? 1 : 0;
+		const k3 = rankz >= 1 ? 1 : 0;
+		const l3 = rankw >= 1 ? 1 : 0;
+		const x1 = x0 - i1 + G4;
+		const y1 = y0 - j1 + G4;
+		const z1 = z0 - k1 + G4;
+		const w1 = w0 - l1 + G4;
+		const x2 = x0 - i2 + 2.0 * G4;
+		const y2 = y0 - j2 + 2.0 * G4;
+		const z2 = z0 - k2 + 2.0 * G4;
+		const w2 = w0 - l2 + 2.0 * G4;
+		const x3 = x0 - i3 + 3.0 * G4;
+		const y3 = y0 - j3 + 3.0 * G4;
+		const z3 = z0 - k3 + 3.0 * G4;
+		const w3 = w0 - l3 + 3.0 * G4;
+		const x4 = x0 - 1.0 + 4.0 * G4;
+		const y4 = y0 - 1.0 + 4.0 * G4;
+		const z4 = z0 - 1.0 + 4.0 * G4;
+		const w4 = w0 - 1.0 + 4.0 * G4;
+		const ii = i & 255;
+		const jj = j & 255;
+		const kk = k & 255;
+		const ll = l & 255;
+		let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0 - w0 * w0;
+		if (t0 < 0) n0 = 0.0;
+		else {
+			const gi0 = ii + perm[jj + perm[kk + perm[ll]]];
+			t0 *= t0;
+			n0 =
+				t0 *
+				t0 *
+				(permGrad4x[gi0] * x0 +
+					permGrad4y[gi0] * y0 +
+					permGrad4z[gi0] * z0 +
+					permGrad4w[gi0] * w0);
+		}
+		let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1 - w1 * w1;
+		if (t1 < 0) n1 = 0.0;
+		else {
+			const gi1 = ii + i1 + perm[jj + j1 + perm[kk + k1 + perm[ll + l1]]];
+			t1 *= t1;
+			n1 =
+				t1 *
+				t1 *
+				(permGrad4x[gi1] * x1 +
+					permGrad4y[gi1] * y1 +
+					permGrad4z[gi1] * z1 +
+					permGrad4w[gi1] * w1);
+		}
+		let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2 - w2 * w2;
+		if (t2 < 0) n2 = 0.0;
+		else {
+			const gi2 = ii + i2 + perm[jj + j2 + perm[kk + k2 + perm[ll + l2]]];
+			t2 *= t2;
+			n2 =
+				t2 *
+				t2 *
+				(permGrad4x[gi2] * x2 +
+					permGrad4y[gi2] * y2 +
+					permGrad4z[gi2] * z2 +
+					permGrad4w[gi2] * w2);
+		}
+		let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3 - w3 * w3;
+		if (t3 < 0) n3 = 0.0;
+		else {
+			const gi3 = ii + i3 + perm[jj + j3 + perm[kk + k3 + perm[ll + l3]]];
+			t3 *= t3;
+			n3 =
+				t3 *
+				t3 *
+				(permGrad4x[gi3] * x3 +
+					permGrad4y[gi3] * y3 +
+					permGrad4z[gi3] * z3 +
+					permGrad4w[gi3] * w3);
+		}
+		let t4 = 0.6 - x4 * x4 - y4 * y4 - z4 * z4 - w4 * w4;
+		if (t4 < 0) n4 = 0.0;
+		else {
+			const gi4 = ii + 1 + perm[jj + 1 + perm[kk + 1 + perm[ll + 1]]];
+			t4 *= t4;
+			n4 =
+				t4 *
+				t4 *
+				(permGrad4x[gi4] * x4 +
+					permGrad4y[gi4] * y4 +
+					permGrad4z[gi4] * z4 +
+					permGrad4w[gi4] * w4);
+		}
+		return 27.0 * (n0 + n1 + n2 + n3 + n4);
+	};
+}
+/**
+ * Crea un generador de ruido Simplex 2D que además retorna sus derivadas
+ *
+ * Las derivadas se calculan analíticamente en una sola evaluación, sin
+ * diferencias finitas. Base de curlNoise2D().
+ *
+ * @param {Function} [random=Math.random] - Función generadora de números aleatorios
+ * @returns {Function} Función (x, y) que retorna [valor, dx, dy]
+ * @example
+ * const noise = createNoiseDeriv2D();
+ * const [n, dx, dy] = noise(x, y);
+ */
+export function createNoiseDeriv2D(random = Math.random) {
+	const perm = buildPermutationTable(random);
+	const gx = new Float64Array(perm).map((v) => grad2[(v % 12) * 2]);
+	const gy = new Float64Array(perm).map((v) => grad2[(v % 12) * 2 + 1]);
+	let n, dx, dy;
+	// Suma el aporte de una esquina del simplex: t^4 * (g · d) y su gradiente
+	function corner(gi, cx, cy) {
+		const t = 0.5 - cx * cx - cy * cy;
+		if (t < 0) return;
+		const g = gx[gi] * cx + gy[gi] * cy;
+		const t2 = t * t;
+		const t4 = t2 * t2;
+		const k = -8 * t2 * t * g;
+		n += t4 * g;
+		dx += k * cx + t4 * gx[gi];
+		dy += k * cy + t4 * gy[gi];
+	}
+	return function noiseDeriv2D(x, y) {
+		n = dx = dy = 0;
+		const s = (x + y) * F2;
+		const i = fastFloor(x + s);
+		const j = fastFloor(y + s);
+		const t = (i + j) * G2;
+		const x0 = x - (i - t);
+		const y0 = y - (j - t);
+		const i1 = x0 > y0 ? 1 : 0;
+		const j1 = 1 - i1;
+		const ii = i & 255;
+		const jj = j & 255;
+		corner(ii + perm[jj], x0, y0);
+		corner(ii + i1 + perm[jj + j1], x0 - i1 + G2, y0 - j1 + G2);
+		corner(ii + 1 + perm[jj + 1], x0 - 1.0 + 2.0 * G2, y0 - 1.0 + 2.0 * G2);
+		return [70.0 * n, 70.0 * dx, 70.0 * dy];
+	};
+}
+/**
+ * Crea un generador de ruido Simplex 3D que además retorna sus derivadas
+ *
+ * Con curlNoise2D(), la tercera coordenada se usa como tiempo para que el
+ * campo evolucione.
+ *
+ * @param {Function} [random=Math.random] - Función generadora de números aleatorios
+ * @returns {Function} Función (x, y, z) que retorna [valor, dx, dy, dz]
+ * @example
+ * const noise = createNoiseDeriv3D();
+ * const [n, dx, dy, dz] = noise(x, y, z);
+ */
+export function createNoiseDeriv3D(random = Math.random) {
+	const perm = buildPermutationTable(random);
+	const gx = new Float64Array(perm).map((v) => grad3[(v % 12) * 3]);
+	const gy = new Float64Array(perm).map((v) => grad3[(v % 12) * 3 + 1]);
+	const gz = new Float64Array(perm).map((v) => grad3[(v % 12) * 3 + 2]);
+	let n, dx, dy, dz;
+	// Suma el aporte de una esquina del simplex: t^4 * (g · d) y su gradiente
+	function corner(gi, cx, cy, cz) {
+		const t = 0.6 - cx * cx - cy * cy - cz * cz;
+		if (t < 0) return;
+		const g = gx[gi] * cx + gy[gi] * cy + gz[gi] * cz;
+		const t2 = t * t;
+		const t4 = t2 * t2;
+		const k = -8 * t2 * t * g;
+		n += t4 * g;
+		dx += k * cx + t4 * gx[gi];
+		dy += k * cy + t4 * gy[gi];
+		dz += k * cz + t4 * gz[gi];
+	}
+	return function noiseDeriv3D(x, y, z) {
+		n = dx = dy = dz = 0;
+		const s = (x + y + z) * F3;
+		const i = fastFloor(x + s);
+		const j = fastFloor(y + s);
+		const k = fastFloor(z + s);
+		const t = (i + j + k) * G3;
+		const x0 = x - (i - t);
+		const y0 = y - (j - t);
+		const z0 = z - (k - t);
+		// Mismo orden de esquinas que noise3D
+		let i1, j1, k1, i2, j2, k2;
+		if (x0 >= y0) {
+			if (y0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+			else if (x0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+			else [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+		} else {
+			if (y0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+			else if (x0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+			else [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+		}
+		const ii = i & 255;
+		const jj = j & 255;
+		const kk = k & 255;
+		corner(ii + perm[jj + perm[kk]], x0, y0, z0);
+		corner(
+			ii + i1 + perm[jj + j1 + perm[kk + k1]],
+			x0 - i1 + G3,
+			y0 - j1 + G3,
+			z0 - k1 + G3,
+		);
+		corner(
+			ii + i2 + perm[jj + j2 + perm[kk + k2]],
+			x0 - i2 + 2.0 * G3,
+			y0 - j2 + 2.0 * G3,
+			z0 - k2 + 2.0 * G3,
+		);
+		corner(
+			ii + 1 + perm[jj + 1 + perm[kk + 1]],
+			x0 - 1.0 + 3.0 * G3,
+			y0 - 1.0 + 3.0 * G3,
+			z0 - 1.0 + 3.0 * G3,
+		);
+		return [32.0 * n, 32.0 * dx, 32.0 * dy, 32.0 * dz];
+	};
+}
 /**
  * Construye la tabla de permutaciones para el algoritmo de simplex noise
  * Utiliza el algoritmo Fisher-Yates para generar una permutación aleatoria
@@ -270,6 +812,122 @@ function buildPermutationTable(random) {
 	}
 	return p;
 }
+/**
+ * Combina varias octavas de una función de ruido
+ *
+ * Cada octava multiplica la frecuencia por `lacunarity` y la amplitud por
+ * `gain`. Funciona con cualquier cantidad de dimensiones.
+ *
+ * - 'fbm': suma de octavas (movimiento browniano fraccional), entre -1 y 1
+ * - 'ridged': crestas marcadas (multifractal), entre 0 y 1
+ * - 'turbulence': suma del valor absoluto de cada octava, entre 0 y 1
+ *
+ * @param {Function} noise - Función de ruido (noise2D, noise3D, noise4D, ...)
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.type="fbm"] - 'fbm' | 'ridged' | 'turbulence'
+ * @param {number} [options.octaves=4] - Cantidad de octavas
+ * @param {number} [options.lacunarity=2] - Multiplicador de frecuencia por octava
+ * @param {number} [options.gain=0.5] - Multiplicador de amplitud por octava
+ * @param {number} [options.frequency=1] - Frecuencia de la primera octava
+ * @returns {Function} Función de ruido con las mismas coordenadas que `noise`
+ * @example
+ * const fbm = fractalNoise(createNoise2D(), { octaves: 6 });
+ * const valor = fbm(x * 0.01, y * 0.01);
+ */
+export function fractalNoise(
+	noise,
+	{
+		type = "fbm",
+		octaves = 4,
+		lacunarity = 2,
+		gain = 0.5,
+		frequency = 1,
+	} = {},
+) {
+	return function (...p) {
+		const q = new Array(p.length);
+		let sum = 0;
+		let norm = 0;
+		let amp = 1;
+		let freq = frequency;
+		// En 'ridged' cada octava se atenúa según la anterior
+		let weight = 1;
+		for (let o = 0; o < octaves; o++) {
+			for (let d = 0; d < p.length; d++) {
+				q[d] = p[d] * freq;
+			}
+			let n = noise(...q);
+			if (type === "ridged") {
+				n = 1 - Math.abs(n);
+				n *= n * weight;
+				weight = n;
+			} else if (type === "turbulence") {
+				n = Math.abs(n);
+			}
+			sum += n * amp;
+			norm += amp;
+			amp *= gain;
+			freq *= lacunarity;
+		}
+		return sum / norm;
+	};
+}
+
+/**
+ * Deforma las coordenadas de una función de ruido usando otra función de ruido
+ * (domain warping), lo que genera formas orgánicas tipo mármol o humo
+ *
+ * Cada coordenada se desplaza por `amount * warp(p * frequency)` con un
+ * offset distinto por eje para que los desplazamientos sean independientes.
+ *
+ * @param {Function} noise - Función de ruido a deformar
+ * @param {Object} [options] - Opciones
+ * @param {number} [options.amount=1] - Magnitud del desplazamiento
+ * @param {number} [options.frequency=1] - Frecuencia del ruido de desplazamiento
+ * @param {Function} [options.warp=noise] - Función de ruido usada para desplazar
+ * @returns {Function} Función de ruido con las mismas coordenadas que `noise`
+ * @example
+ * const noise = fractalNoise(createNoise2D());
+ * const warped = domainWarp(noise, { amount: 0.8 });
+ * const valor = warped(x * 0.005, y * 0.005);
+ */
+export function domainWarp(noise, { amount = 1, frequency = 1, warp = noise } = {}) {
+	// Offsets con números primos, igual que en curlNoise3D
+	const offsets = [0, 17.3, 53.9, 101.7];
+	return function (...p) {
+		const q = new Array(p.length);
+		const wp = new Array(p.length);
+		for (let d = 0; d < p.length; d++) {
+			for (let e = 0; e < p.length; e++) {
+				wp[e] = p[e] * frequency + offsets[d % offsets.length];
+			}
+			q[d] = p[d] + amount * warp(...wp);
+		}
+		return noise(...q);
+	};
+}
+
+/**
+ * Crea un ruido 2D animado que se repite sin cortes
+ *
+ * Recorre un círculo en las dimensiones (z, w) del ruido 4D, por lo que
+ * `t = 0` y `t = 1` dan exactamente el mismo resultado.
+ *
+ * @param {Function} noise4D - Función de ruido 4D
+ * @param {number} [radius=1] - Radio del círculo (mayor = más cambio durante el ciclo)
+ * @returns {Function} Función (x, y, t) que retorna un valor entre -1 y 1, con t entre 0 y 1
+ * @example
+ * const loop = loopNoise(createNoise4D(), 0.5);
+ * const t = (frameCount % 120) / 120;
+ * const valor = loop(x * 0.01, y * 0.01, t);
+ */
+export function loopNoise(noise4D, radius = 1) {
+	return function (x, y, t) {
+		const a = t * Math.PI * 2;
+		return noise4D(x, y, Math.cos(a) * radius, Math.sin(a) * radius);
+	};
+}
+
 /**
  * Calcula el curl de un campo vectorial de ruido F(p) = [Nx, Ny, Nz]
  * usando diferencias centrales (finite differences)
@@ -349,3 +1007,100 @@ export function curlNoise3D(noise3D, eps = 0.0005, outScale = 1.0, normalize = t
 		return curlNoise3(p, noiseVec3, eps, outScale, normalize);
 	};
 }
+
+/**
+ * Crea un generador de curl noise 2D a partir de un ruido con derivadas
+ *
+ * Usa el gradiente del ruido como función potencial: curl = (dN/dy, -dN/dx).
+ * El campo resultante no tiene divergencia (las partículas no se acumulan)
+ * y cuesta una sola evaluación de ruido por punto.
+ *
+ * @param {Function} noiseDeriv - createNoiseDeriv2D() o createNoiseDeriv3D() (z como tiempo)
+ * @param {number} [outScale=1.0] - Factor de escala del resultado
+ * @param {boolean} [normalize=false] - Si true, normaliza el vector resultante
+ * @returns {Function} Función (x, y, t) que retorna el vector [vx, vy]
+ * @example
+ * const curl = curlNoise2D(createNoiseDeriv3D(createRandom("semilla")));
+ * const [vx, vy] = curl(x * 0.005, y * 0.005, time * 0.0001);
+ */
+export function curlNoise2D(noiseDeriv, outScale = 1.0, normalize = false) {
+	return function (x, y, t = 0) {
+		const d = noiseDeriv(x, y, t);
+		let vx = d[2];
+		let vy = -d[1];
+		if (normalize) {
+			const len = Math.hypot(vx, vy) || 1;
+			vx /= len; vy /= len;
+		}
+		return [vx * outScale, vy * outScale];
+	};
+}
+
+/**
+ * Crea una grilla de vectores precalculados sobre un área
+ *
+ * El campo se evalúa sólo en los vértices de la grilla (al crearla y en cada
+ * update) y lookup() interpola bilinealmente, por lo que el costo por
+ * partícula no depende de la función del campo.
+ *
+ * @param {Object} options - Opciones
+ * @param {number} options.width - Ancho del área
+ * @param {number} options.height - Alto del área
+ * @param {Function} options.field - Función (x, y, t) que retorna [vx, vy], en coordenadas del área
+ * @param {number} [options.cellSize=20] - Tamaño de cada celda
+ * @returns {Object} {cols, rows, cellSize, data, update, lookup}
+ *   - data: Float32Array con [vx, vy] de cada vértice, fila por fila ((cols + 1) * (rows + 1) vértices)
+ *   - update(t): recalcula la grilla para el tiempo t
+ *   - lookup(x, y): vector interpolado [vx, vy] (fuera del área usa el borde)
+ * @example
+ * const curl = curlNoise2D(createNoiseDeriv3D());
+ * const flow = createFlowField({
+ * 	width: 800,
+ * 	height: 600,
+ * 	field: (x, y, t) => curl(x * 0.004, y * 0.004, t),
+ * });
+ * // en draw:
+ * flow.update(time * 0.0001);
+ * const [vx, vy] = flow.lookup(p.x, p.y);
+ */
+export function createFlowField({ width, height, field, cellSize = 20 }) {
+	const cols = Math.ceil(width / cellSize);
+	const rows = Math.ceil(height / cellSize);
+	const stride = cols + 1;
+	const data = new Float32Array(stride * (rows + 1) * 2);
+
+	function update(t = 0) {
+		for (let j = 0; j <= rows; j++) {
+			for (let i = 0; i <= cols; i++) {
+				const [vx, vy] = field(i * cellSize, j * cellSize, t);
+				const idx = (j * stride + i) * 2;
+				data[idx] = vx;
+				data[idx + 1] = vy;
+			}
+		}
+	}
+
+	function lookup(x, y) {
+		const gx = Math.min(Math.max(x / cellSize, 0), cols);
+		const gy = Math.min(Math.max(y / cellSize, 0), rows);
+		const i = Math.min(Math.floor(gx), cols - 1);
+		const j = Math.min(Math.floor(gy), rows - 1);
+		const fx = gx - i;
+		const fy = gy - j;
+		const a = (j * stride + i) * 2;
+		const b = a + 2;
+		const c = a + stride * 2;
+		const d = c + 2;
+		const w0 = (1 - fx) * (1 - fy);
+		const w1 = fx * (1 - fy);
+		const w2 = (1 - fx) * fy;
+		const w3 = fx * fy;
+		return [
+			data[a] * w0 + data[b] * w1 + data[c] * w2 + data[d] * w3,
+			data[a + 1] * w0 + data[b + 1] * w1 + data[c + 1] * w2 + data[d + 1] * w3,
+		];
+	}
+
+	update(0);
+	return { cols, rows, cellSize, data, update, lookup };
+}